@@ -11,6 +11,10 @@ const TelegramGameAPI = {
     mainButton: null,
     
     init() {
+        // Several start-up paths call init(); configure the WebApp only once.
+        if (this.isInitialized) {
+            return true;
+        }
         if (typeof window.Telegram !== 'undefined' && window.Telegram.WebApp) {
             this.app = window.Telegram.WebApp;
             this.hapticFeedback = this.app.HapticFeedback;
@@ -18,7 +22,7 @@ const TelegramGameAPI = {
             
             // Configure WebApp
             this.app.ready();
-            this.app.expand();
+            this.setupViewport();
             this.app.enableClosingConfirmation();
             
             // Apply theme and setup UI
@@ -31,169 +35,3461 @@ const TelegramGameAPI = {
             console.log('Telegram WebApp initialized successfully');
             return true;
         }
-        console.log('Running in non-Telegram environment');
-        return false;
+        console.log('Running in non-Telegram environment');
+        return false;
+    },
+    
+    /**
+     * Expand the Mini App and, on clients that support it (Bot API 8.0+),
+     * switch to fullscreen and optionally lock the orientation.
+     * Fullscreen is on unless ?fullscreen=false or
+     * <meta name="trex-fullscreen" content="false">; ?orientation=landscape
+     * or <meta name="trex-orientation" content="landscape"> locks landscape.
+     */
+    setupViewport() {
+        this.app.expand();
+
+        if (!this.app.isVersionAtLeast || !this.app.isVersionAtLeast('8.0')) {
+            return;
+        }
+
+        this.app.onEvent('fullscreenFailed', (event) => {
+            console.warn('Fullscreen unavailable:', event && event.error);
+        });
+
+        if (this.getLaunchOption('fullscreen', 'trex-fullscreen') != 'false' &&
+            !this.app.isFullscreen) {
+            this.app.requestFullscreen();
+        }
+        if (this.getLaunchOption('orientation', 'trex-orientation') == 'landscape') {
+            this.app.lockOrientation();
+        }
+    },
+
+    /**
+     * Safe-area insets in CSS pixels: the device insets (notch, home
+     * indicator) plus the content insets covered by Telegram's own controls
+     * in fullscreen.
+     * @return {Object} top, right, bottom and left, or null when the client
+     *     does not report them.
+     */
+    getSafeAreaInsets() {
+        if (!this.app || !this.app.safeAreaInset) {
+            return null;
+        }
+
+        const device = this.app.safeAreaInset;
+        const content = this.app.contentSafeAreaInset || {};
+        const insets = {};
+        ['top', 'right', 'bottom', 'left'].forEach((side) => {
+            insets[side] = (device[side] || 0) + (content[side] || 0);
+        });
+        return insets;
+    },
+
+    applyTheme() {
+        if (!this.app) return;
+        
+        const theme = this.app.themeParams;
+        const root = document.documentElement;
+        
+        // Apply theme colors with fallbacks
+        if (theme.bg_color) {
+            document.body.style.backgroundColor = theme.bg_color;
+            root.style.setProperty('--tg-bg-color', theme.bg_color);
+        }
+        if (theme.text_color) {
+            root.style.setProperty('--tg-text-color', theme.text_color);
+        }
+        if (theme.button_color) {
+            root.style.setProperty('--tg-button-color', theme.button_color);
+        }
+        if (theme.button_text_color) {
+            root.style.setProperty('--tg-button-text-color', theme.button_text_color);
+        }
+        if (theme.secondary_bg_color) {
+            root.style.setProperty('--tg-secondary-bg-color', theme.secondary_bg_color);
+        }
+        
+        // Set status bar style
+        root.style.setProperty('--tg-color-scheme', this.app.colorScheme);
+    },
+    
+    /**
+     * Current theme colours: Telegram themeParams when available, otherwise
+     * the CSS variables applyTheme() maintains.
+     * @return {Object}
+     */
+    getThemeColors() {
+        const theme = (this.app && this.app.themeParams) || {};
+        const style = window.getComputedStyle(document.documentElement);
+        const cssVar = (name) => style.getPropertyValue(name).trim();
+
+        return {
+            bg: theme.bg_color || cssVar('--tg-bg-color') || '#f7f7f7',
+            text: theme.text_color || cssVar('--tg-text-color') || '#000000',
+            hint: theme.hint_color || '#999999',
+            button: theme.button_color || cssVar('--tg-button-color') || '#007acc',
+            buttonText: theme.button_text_color || cssVar('--tg-button-text-color') || '#ffffff',
+            secondaryBg: theme.secondary_bg_color || cssVar('--tg-secondary-bg-color') || '#ffffff'
+        };
+    },
+    
+    setupMainButton() {
+        // Hidden until BottomButtons attaches to a game.
+        if (!this.mainButton) return;
+        this.mainButton.hide();
+    },
+    
+    setupBackButton() {
+        if (!this.app.BackButton) return;
+        
+        this.app.BackButton.onClick(() => {
+            const runner = Runner.instance_;
+
+            // Leaving mid-run loses the run, so ask first.
+            if (!runner || !runner.activated || runner.crashed) {
+                this.app.close();
+                return;
+            }
+
+            const wasPlaying = runner.playing;
+            if (wasPlaying) {
+                runner.stop();
+            }
+            Dialogs.confirm(I18n.t('leave.message')).then((leave) => {
+                if (leave) {
+                    this.app.close();
+                } else if (wasPlaying) {
+                    runner.resume();
+                }
+            });
+        });
+    },
+    
+    /**
+     * Whether the player has haptic feedback turned on.
+     * @return {boolean}
+     */
+    isHapticEnabled() {
+        return this.getUserData().settings.hapticEnabled !== false;
+    },
+
+    // User data management
+    userData: null,
+    userDataPromise: null,
+
+    /**
+     * Load the saved profile once per session. Resolves with the merged
+     * CloudStorage / localStorage data.
+     * @return {Promise<Object>}
+     */
+    loadUserData() {
+        if (!this.userDataPromise) {
+            SaveStorage.init(this.app && this.app.CloudStorage);
+            this.userDataPromise = SaveStorage.load().then((userData) => {
+                this.userData = userData;
+                return userData;
+            });
+        }
+        return this.userDataPromise;
+    },
+
+    /**
+     * Save a finished run.
+     * @param {number} score
+     * @param {boolean=} isHighScore Whether it beat the best on its difficulty.
+     * @param {string=} difficulty Difficulty it was played on. Custom games
+     *     keep no best score.
+     * @param {number=} coins Coins picked up, added to the wallet.
+     * @return {Promise<Object>}
+     */
+    saveScore(score, isHighScore = false, difficulty = 'classic', coins = 0) {
+        return this.loadUserData().then((userData) => {
+            userData.lastScore = score;
+            userData.lastPlayedAt = new Date().toISOString();
+            userData.gamesPlayed = (userData.gamesPlayed || 0) + 1;
+            userData.wallet.coins += coins;
+
+            if (isHighScore && difficulty == 'classic') {
+                userData.highScore = score;
+                userData.highScoreDate = userData.lastPlayedAt;
+            } else if (isHighScore && userData.highScores.hasOwnProperty(difficulty)) {
+                userData.highScores[difficulty] = score;
+            }
+
+            return SaveStorage.save(userData);
+        }).catch((error) => {
+            console.warn('Failed to save score:', error);
+        });
+    },
+
+    /**
+     * Saved best score on a difficulty.
+     * @param {string} difficulty
+     * @return {number} 0 for custom games.
+     */
+    getHighScore(difficulty) {
+        const userData = this.getUserData();
+        return difficulty == 'classic' ? userData.highScore :
+            userData.highScores[difficulty] || 0;
+    },
+
+    /**
+     * Change and persist settings.
+     * @param {Object} changes Settings fields to update.
+     * @return {Promise<Object>} The updated settings.
+     */
+    updateSettings(changes) {
+        return this.loadUserData().then((userData) => {
+            Object.assign(userData.settings, changes);
+            return SaveStorage.save(userData).then(() => userData.settings);
+        });
+    },
+
+    /**
+     * Count an attempt at a day's Daily Run. The first attempt of a day is
+     * ranked and extends the streak when the previous day was played too;
+     * later attempts are practice.
+     * @param {string} day UTC day of the course, see DailyRun.getDay().
+     * @param {number} score
+     * @return {Promise<{ranked: boolean, daily: Object}>}
+     */
+    saveDailyAttempt(day, score) {
+        return this.loadUserData().then((userData) => {
+            const daily = userData.daily;
+            const ranked = daily.day != day;
+
+            if (ranked) {
+                daily.streak = daily.day == DailyRun.getPreviousDay(day) ?
+                    daily.streak + 1 : 1;
+                daily.day = day;
+                daily.score = score;
+                daily.attempts = 0;
+                daily.bestScore = Math.max(daily.bestScore, score);
+            }
+            daily.attempts++;
+
+            return SaveStorage.save(userData).then(() => ({ ranked: ranked, daily: daily }));
+        });
+    },
+
+    /**
+     * Recordings of the best run on this device on each difficulty preset,
+     * raced as ghosts.
+     * @return {Object<string, Object>} Recordings keyed by difficulty.
+     */
+    loadBestRuns() {
+        const recordings = {};
+        SaveSchema.DIFFICULTIES.forEach((difficulty) => {
+            const recording = ReplayPlayer.upgrade(SaveStorage.readBestRun(difficulty));
+            if (ReplayPlayer.isValid(recording)) {
+                recordings[difficulty] = recording;
+            }
+        });
+        return recordings;
+    },
+
+    /**
+     * @param {string} difficulty Difficulty preset the run was on.
+     * @param {Object} recording Run recording.
+     */
+    saveBestRun(difficulty, recording) {
+        SaveStorage.writeBestRun(difficulty, recording);
+    },
+
+    /**
+     * Wipe scores and play history, keeping settings. If CloudStorage cannot
+     * be written, the next load merges the old cloud copy back in.
+     * @return {Promise<Object>} The reset profile.
+     */
+    resetProgress() {
+        return this.loadUserData().then((userData) => {
+            const reset = SaveSchema.createDefault();
+            reset.settings = userData.settings;
+            this.userData = reset;
+            this.userDataPromise = Promise.resolve(reset);
+            SaveStorage.clearBestRuns();
+            return SaveStorage.save(reset);
+        });
+    },
+
+    /**
+     * Synchronous access to the profile. Returns defaults until
+     * loadUserData() has resolved.
+     * @return {Object}
+     */
+    getUserData() {
+        return this.userData || SaveSchema.createDefault();
+    },
+    
+    /**
+     * Base URL of the score backend, taken from the ?api= query parameter or
+     * the trex-api-endpoint meta tag. Empty when no backend is configured.
+     * @return {string}
+     */
+    getApiEndpoint() {
+        return this.getLaunchOption('api', 'trex-api-endpoint').replace(/\/+$/, '');
+    },
+
+    /**
+     * Read a page option from the query string, falling back to a meta tag.
+     * @param {string} param Query parameter name.
+     * @param {string} metaName Meta tag name.
+     * @return {string} The value, or an empty string.
+     */
+    getLaunchOption(param, metaName) {
+        const queryValue = new URLSearchParams(window.location.search).get(param);
+        const meta = document.querySelector('meta[name="' + metaName + '"]');
+        return queryValue || (meta && meta.content) || '';
+    },
+
+    /**
+     * Submit a score to the backend together with the signed initData. The
+     * backend ranks the first Daily Run of a day it receives.
+     * @param {number} score
+     * @param {Object=} opt_launch Launch descriptor of the run.
+     * @return {Promise<Object>} The backend response, or null.
+     */
+    submitScore(score, opt_launch) {
+        const endpoint = this.getApiEndpoint();
+        if (!this.app || !this.app.initData || !endpoint) {
+            return Promise.resolve(null);
+        }
+
+        return fetch(endpoint + '/api/scores', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                initData: this.app.initData,
+                score: score,
+                timestamp: Date.now(),
+                platform: 'telegram_webapp',
+                mode: opt_launch ? opt_launch.mode : undefined,
+                referrer: opt_launch ? opt_launch.referrer : undefined,
+                day: opt_launch && opt_launch.day ? opt_launch.day : undefined
+            })
+        }).then((response) => response.json()).catch((error) => {
+            console.warn('Failed to submit score:', error);
+            return null;
+        });
+    },
+
+    /**
+     * Query a leaderboard from the backend.
+     * @param {string} scope 'global', 'chat', 'around' or 'daily'.
+     * @param {string=} opt_day Day of a daily leaderboard, today by default.
+     * @return {Promise<Object>} Leaderboard response, or null.
+     */
+    fetchLeaderboard(scope, opt_day) {
+        const endpoint = this.getApiEndpoint();
+        if (!this.app || !this.app.initData || !endpoint) {
+            return Promise.resolve(null);
+        }
+
+        const query = '?scope=' + encodeURIComponent(scope) +
+            (opt_day ? '&day=' + encodeURIComponent(opt_day) : '');
+        return fetch(endpoint + '/api/leaderboard' + query, {
+            headers: { 'X-Telegram-Init-Data': this.app.initData }
+        }).then((response) => response.json()).then((body) => {
+            return body.ok ? body : null;
+        }).catch((error) => {
+            console.warn('Failed to load leaderboard:', error);
+            return null;
+        });
+    },
+
+    /**
+     * The Telegram user the WebApp was opened by, if any.
+     * @return {Object}
+     */
+    getPlayer() {
+        return (this.app && this.app.initDataUnsafe && this.app.initDataUnsafe.user) || null;
+    },
+
+    /**
+     * Upload a rendered score card so it can be shared by URL.
+     * @param {string} dataUrl PNG data URL.
+     * @return {Promise<string>} Public URL of the card, or null.
+     */
+    uploadScoreCard(dataUrl) {
+        const endpoint = this.getApiEndpoint();
+        if (!this.app || !this.app.initData || !endpoint) {
+            return Promise.resolve(null);
+        }
+
+        return fetch(endpoint + '/api/cards', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ initData: this.app.initData, image: dataUrl })
+        }).then((response) => response.json()).then((body) => {
+            return body.ok ? body.url : null;
+        }).catch((error) => {
+            console.warn('Failed to upload score card:', error);
+            return null;
+        });
+    },
+
+    // Send data to bot (if needed)
+    sendScore(score) {
+        if (!this.app) return;
+        
+        const data = {
+            score: score,
+            timestamp: Date.now(),
+            platform: 'telegram_webapp'
+        };
+        
+        try {
+            this.app.sendData(JSON.stringify(data));
+        } catch (error) {
+            console.warn('Failed to send score to bot:', error);
+        }
+    }
+};
+
+// Versioned save data schema. Every change to the stored profile bumps
+// VERSION and adds a migration from the previous version, so older saves are
+// upgraded step by step instead of being reset.
+const SaveSchema = {
+    VERSION: 8,
+
+    /**
+     * Mobile control layouts: jump button on the right, on the left, or no
+     * buttons and tap anywhere to jump.
+     * @const
+     */
+    CONTROL_LAYOUTS: ['right', 'left', 'tap'],
+
+    /**
+     * Haptic intensities, see HapticsEngine.INTENSITIES.
+     * @const
+     */
+    HAPTIC_INTENSITIES: ['low', 'normal', 'strong'],
+
+    /**
+     * Difficulty presets, see Runner.difficulties.
+     * @const
+     */
+    DIFFICULTIES: ['easy', 'classic', 'hard', 'insane'],
+
+    createDefault() {
+        return {
+            version: this.VERSION,
+            highScore: 0,
+            highScoreDate: null,
+            highScores: this.createDefaultHighScores(),
+            gamesPlayed: 0,
+            syncedGamesPlayed: 0,
+            lastScore: 0,
+            lastPlayedAt: null,
+            settings: {
+                soundEnabled: true,
+                volume: 1,
+                hapticEnabled: true,
+                hapticIntensity: 'normal',
+                controlLayout: 'right',
+                reducedMotion: false,
+                ghostEnabled: false,
+                difficulty: 'classic'
+            },
+            daily: this.createDefaultDaily(),
+            wallet: this.createDefaultWallet()
+        };
+    },
+
+    /**
+     * Coins banked from runs, and how many of them CloudStorage has seen, as
+     * with gamesPlayed and syncedGamesPlayed.
+     * @return {Object}
+     */
+    createDefaultWallet() {
+        return { coins: 0, syncedCoins: 0 };
+    },
+
+    /**
+     * Best scores on the difficulty presets other than Classic. The Classic
+     * best is highScore, the score ranked on leaderboards.
+     * @return {Object}
+     */
+    createDefaultHighScores() {
+        return { easy: 0, hard: 0, insane: 0 };
+    },
+
+    /**
+     * Daily Run state: the last day played, its ranked score, attempts that
+     * day, the best ranked score of any day and the run of consecutive days.
+     * @return {Object}
+     */
+    createDefaultDaily() {
+        return { day: null, score: 0, attempts: 0, bestScore: 0, streak: 0 };
+    },
+
+    /**
+     * Migrations keyed by the version they upgrade from. Each one returns
+     * data in the next version's shape. Missing fields are filled in, fields
+     * of the wrong type are left for validate() to reject.
+     * @enum {function(Object): Object}
+     */
+    migrations: {
+        // Unversioned saves written by saveScore() before the schema existed.
+        1(data) {
+            return Object.assign({
+                highScore: 0,
+                highScoreDate: null,
+                gamesPlayed: 0,
+                syncedGamesPlayed: 0,
+                lastScore: 0,
+                lastPlayedAt: null
+            }, data, {
+                version: 2,
+                settings: Object.assign({
+                    soundEnabled: true,
+                    hapticEnabled: true
+                }, data.settings)
+            });
+        },
+
+        // Settings panel: volume, control layout and reduced motion.
+        2(data) {
+            return Object.assign({}, data, {
+                version: 3,
+                settings: Object.assign({
+                    volume: 1,
+                    controlLayout: 'right',
+                    reducedMotion: false
+                }, data.settings)
+            });
+        },
+
+        // Haptic pattern engine: vibration strength.
+        3(data) {
+            return Object.assign({}, data, {
+                version: 4,
+                settings: Object.assign({
+                    hapticIntensity: 'normal'
+                }, data.settings)
+            });
+        },
+
+        // Daily Run.
+        4(data) {
+            return Object.assign({ daily: SaveSchema.createDefaultDaily() }, data, {
+                version: 5
+            });
+        },
+
+        // Racing the ghost of the best run.
+        5(data) {
+            return Object.assign({}, data, {
+                version: 6,
+                settings: Object.assign({
+                    ghostEnabled: false
+                }, data.settings)
+            });
+        },
+
+        // Difficulty presets, each with its own best score.
+        6(data) {
+            return Object.assign({ highScores: SaveSchema.createDefaultHighScores() }, data, {
+                version: 7,
+                settings: Object.assign({
+                    difficulty: 'classic'
+                }, data.settings)
+            });
+        },
+
+        // Coins.
+        7(data) {
+            return Object.assign({ wallet: SaveSchema.createDefaultWallet() }, data, {
+                version: 8
+            });
+        }
+    },
+
+    /**
+     * Check data against the current version.
+     * @param {*} data
+     * @return {Array<string>} Validation errors, empty when valid.
+     */
+    validate(data) {
+        const errors = [];
+        const isCount = (value) => typeof value == 'number' && isFinite(value) &&
+            value >= 0;
+        const isDate = (value) => value === null || typeof value == 'string';
+
+        if (!data || typeof data != 'object' || Array.isArray(data)) {
+            return ['save data is not an object'];
+        }
+        if (data.version !== this.VERSION) {
+            errors.push('unexpected version ' + data.version);
+        }
+        ['highScore', 'gamesPlayed', 'syncedGamesPlayed', 'lastScore'].forEach((key) => {
+            if (!isCount(data[key])) {
+                errors.push(key + ' is not a non-negative number');
+            }
+        });
+        ['highScoreDate', 'lastPlayedAt'].forEach((key) => {
+            if (!isDate(data[key])) {
+                errors.push(key + ' is not a date string');
+            }
+        });
+        if (!data.settings || typeof data.settings != 'object') {
+            errors.push('settings is not an object');
+        } else {
+            ['soundEnabled', 'hapticEnabled', 'reducedMotion', 'ghostEnabled'].forEach((key) => {
+                if (typeof data.settings[key] != 'boolean') {
+                    errors.push('settings.' + key + ' is not a boolean');
+                }
+            });
+            const volume = data.settings.volume;
+            if (typeof volume != 'number' || !(volume >= 0 && volume <= 1)) {
+                errors.push('settings.volume is not between 0 and 1');
+            }
+            if (this.CONTROL_LAYOUTS.indexOf(data.settings.controlLayout) == -1) {
+                errors.push('settings.controlLayout is not a known layout');
+            }
+            if (this.HAPTIC_INTENSITIES.indexOf(data.settings.hapticIntensity) == -1) {
+                errors.push('settings.hapticIntensity is not a known intensity');
+            }
+            if (this.DIFFICULTIES.indexOf(data.settings.difficulty) == -1) {
+                errors.push('settings.difficulty is not a known difficulty');
+            }
+        }
+        if (!data.highScores || typeof data.highScores != 'object') {
+            errors.push('highScores is not an object');
+        } else {
+            Object.keys(this.createDefaultHighScores()).forEach((key) => {
+                if (!isCount(data.highScores[key])) {
+                    errors.push('highScores.' + key + ' is not a non-negative number');
+                }
+            });
+        }
+        if (!data.daily || typeof data.daily != 'object') {
+            errors.push('daily is not an object');
+        } else {
+            if (data.daily.day !== null && !/^\d{4}-\d{2}-\d{2}$/.test(data.daily.day)) {
+                errors.push('daily.day is not a day');
+            }
+            ['score', 'attempts', 'bestScore', 'streak'].forEach((key) => {
+                if (!isCount(data.daily[key])) {
+                    errors.push('daily.' + key + ' is not a non-negative number');
+                }
+            });
+        }
+        if (!data.wallet || typeof data.wallet != 'object') {
+            errors.push('wallet is not an object');
+        } else {
+            ['coins', 'syncedCoins'].forEach((key) => {
+                if (!isCount(data.wallet[key])) {
+                    errors.push('wallet.' + key + ' is not a non-negative number');
+                }
+            });
+        }
+        return errors;
+    },
+
+    /**
+     * Bring stored data up to the current version and validate it.
+     * @param {*} data Parsed save data.
+     * @return {{data: Object, errors: Array<string>,
+     *     unsupportedVersion: (boolean|undefined)}} unsupportedVersion is set
+     *     for data of a version this client cannot read, such as a newer
+     *     client's.
+     */
+    upgrade(data) {
+        if (!data || typeof data != 'object' || Array.isArray(data)) {
+            return { data: null, errors: ['save data is not an object'] };
+        }
+
+        let version = data.version === undefined ? 1 : data.version;
+        if (typeof version != 'number' || version < 1 || version > this.VERSION) {
+            return {
+                data: null,
+                errors: ['unsupported version ' + version],
+                unsupportedVersion: true
+            };
+        }
+
+        let upgraded = data;
+        while (version < this.VERSION) {
+            upgraded = this.migrations[version](upgraded);
+            version++;
+        }
+
+        const errors = this.validate(upgraded);
+        return { data: errors.length ? null : upgraded, errors: errors };
+    }
+};
+
+// Save data persistence. Profiles are kept both in Telegram CloudStorage, so
+// they follow the player between devices, and in localStorage, so they survive
+// offline sessions. The two copies are merged on load and written back.
+const SaveStorage = {
+    CLOUD_KEY: 'gameData',
+    LOCAL_KEY: 'trex_telegram_data',
+    QUARANTINE_KEY: 'trex_telegram_data_quarantine',
+    // Run recordings outgrow CloudStorage's 4096-character values, so the
+    // best one on each difficulty is kept in localStorage only, under this
+    // key and the difficulty. The key alone holds the single best run of
+    // older versions.
+    BEST_RUN_KEY: 'trex_telegram_best_run',
+    MAX_QUARANTINED: 5,
+    CLOUD_TIMEOUT: 3000,
+    cloudStorage: null,
+    // Set when the cloud or local copy is of a version this client cannot
+    // read. It is then left alone rather than replaced with this client's
+    // older data.
+    cloudReadOnly: false,
+    localReadOnly: false,
+
+    init(cloudStorage) {
+        this.cloudStorage = cloudStorage || null;
+    },
+
+    /**
+     * Read both copies, merge them and write the result back to both.
+     * @return {Promise<Object>}
+     */
+    load() {
+        return Promise.all([this.readCloud(), this.readLocal()])
+            .then(([cloudData, localData]) => {
+                const merged = this.merge(cloudData, localData);
+                return this.save(merged).then(() => merged);
+            });
+    },
+
+    /**
+     * Persist the profile to both copies, except read-only ones. The synced
+     * counters only advance once CloudStorage confirms the write, which a
+     * read-only cloud copy never does.
+     * @param {Object} data
+     * @return {Promise<Object>}
+     */
+    save(data) {
+        return this.writeCloud(data).then((stored) => {
+            if (stored) {
+                data.syncedGamesPlayed = data.gamesPlayed;
+                data.wallet.syncedCoins = data.wallet.coins;
+            }
+            this.writeLocal(data);
+            return data;
+        });
+    },
+
+    /**
+     * Merge cloud and local profiles: highest high scores, games played and
+     * coins on this device that the cloud has not seen yet added to the
+     * cloud totals, and the most recent last score.
+     * @param {Object} cloudData
+     * @param {Object} localData
+     * @return {Object}
+     */
+    merge(cloudData, localData) {
+        const merged = SaveSchema.createDefault();
+        const cloud = cloudData || {};
+        const local = localData || {};
+
+        Object.assign(merged.settings, cloud.settings, local.settings);
+
+        const best = (cloud.highScore || 0) >= (local.highScore || 0) ? cloud : local;
+        merged.highScore = best.highScore || 0;
+        merged.highScoreDate = best.highScoreDate || null;
+        Object.keys(merged.highScores).forEach((difficulty) => {
+            merged.highScores[difficulty] = Math.max(
+                (cloud.highScores && cloud.highScores[difficulty]) || 0,
+                (local.highScores && local.highScores[difficulty]) || 0);
+        });
+
+        const unsyncedGames = Math.max(0,
+            (local.gamesPlayed || 0) - (local.syncedGamesPlayed || 0));
+        merged.gamesPlayed = cloudData ?
+            (cloud.gamesPlayed || 0) + unsyncedGames : (local.gamesPlayed || 0);
+        merged.syncedGamesPlayed = cloudData ? cloud.gamesPlayed || 0 :
+            local.syncedGamesPlayed || 0;
+
+        const cloudWallet = cloud.wallet || merged.wallet;
+        const localWallet = local.wallet || merged.wallet;
+        const unsyncedCoins = Math.max(0, localWallet.coins - localWallet.syncedCoins);
+        merged.wallet = cloudData ?
+            { coins: cloudWallet.coins + unsyncedCoins, syncedCoins: cloudWallet.coins } :
+            Object.assign({}, localWallet);
+
+        const latest = Date.parse(cloud.lastPlayedAt) > Date.parse(local.lastPlayedAt) ||
+            (!local.lastPlayedAt && cloud.lastPlayedAt) ? cloud : local;
+        merged.lastScore = latest.lastScore || 0;
+        merged.lastPlayedAt = latest.lastPlayedAt || null;
+
+        // The copy that has seen the later day, or more attempts that day.
+        const cloudDaily = cloud.daily || merged.daily;
+        const localDaily = local.daily || merged.daily;
+        const daily = (cloudDaily.day || '') > (localDaily.day || '') ||
+            (cloudDaily.day == localDaily.day && cloudDaily.attempts > localDaily.attempts) ?
+            cloudDaily : localDaily;
+        merged.daily = Object.assign({}, daily, {
+            bestScore: Math.max(cloudDaily.bestScore || 0, localDaily.bestScore || 0)
+        });
+
+        return merged;
+    },
+
+    /**
+     * Parse and upgrade a stored copy. Copies that cannot be parsed or fail
+     * validation are quarantined and treated as missing, so the other copy
+     * or the defaults are used without destroying the original.
+     * @param {?string} raw
+     * @param {string} source 'cloud' or 'local'.
+     * @return {Object} Upgraded data, or null.
+     */
+    parse(raw, source) {
+        if (!raw) return null;
+
+        let result;
+        try {
+            result = SaveSchema.upgrade(JSON.parse(raw));
+        } catch (error) {
+            result = { data: null, errors: ['invalid JSON: ' + error.message] };
+        }
+
+        if (result.errors.length) {
+            this.quarantine(raw, source, result.errors);
+        }
+        if (source == 'cloud') {
+            this.cloudReadOnly = !!result.unsupportedVersion;
+        } else {
+            this.localReadOnly = !!result.unsupportedVersion;
+        }
+        return result.data;
+    },
+
+    /**
+     * Keep a rejected save aside for recovery.
+     * @param {string} raw
+     * @param {string} source
+     * @param {Array<string>} errors
+     */
+    quarantine(raw, source, errors) {
+        console.warn('Quarantining invalid ' + source + ' save data:', errors);
+
+        try {
+            const entries = JSON.parse(localStorage.getItem(this.QUARANTINE_KEY) || '[]');
+            entries.unshift({
+                source: source,
+                raw: raw,
+                errors: errors,
+                date: new Date().toISOString()
+            });
+            localStorage.setItem(this.QUARANTINE_KEY,
+                JSON.stringify(entries.slice(0, this.MAX_QUARANTINED)));
+        } catch (error) {
+            console.warn('Failed to quarantine save data:', error);
+        }
+    },
+
+    readLocal() {
+        try {
+            return Promise.resolve(this.parse(localStorage.getItem(this.LOCAL_KEY), 'local'));
+        } catch (error) {
+            console.warn('Failed to read local save data:', error);
+            return Promise.resolve(null);
+        }
+    },
+
+    writeLocal(data) {
+        if (this.localReadOnly) return;
+        try {
+            localStorage.setItem(this.LOCAL_KEY, JSON.stringify(data));
+        } catch (error) {
+            console.warn('Failed to write local save data:', error);
+        }
+    },
+
+    /**
+     * @param {string} difficulty
+     * @return {*} The stored best run recording on the difficulty, unchecked,
+     *     or null. Falls back to the older single best run if it was on that
+     *     difficulty; recordings from before difficulties were Classic.
+     */
+    readBestRun(difficulty) {
+        try {
+            const recording = JSON.parse(
+                localStorage.getItem(this.BEST_RUN_KEY + '_' + difficulty) || 'null');
+            if (recording) {
+                return recording;
+            }
+            const legacy = JSON.parse(localStorage.getItem(this.BEST_RUN_KEY) || 'null');
+            return legacy && (legacy.difficulty || 'classic') == difficulty ? legacy : null;
+        } catch (error) {
+            console.warn('Failed to read best run:', error);
+            return null;
+        }
+    },
+
+    /**
+     * @param {string} difficulty
+     * @param {Object} recording Recording to keep.
+     */
+    writeBestRun(difficulty, recording) {
+        try {
+            localStorage.setItem(this.BEST_RUN_KEY + '_' + difficulty,
+                JSON.stringify(recording));
+        } catch (error) {
+            console.warn('Failed to write best run:', error);
+        }
+    },
+
+    /**
+     * Remove the best runs on every difficulty.
+     */
+    clearBestRuns() {
+        try {
+            localStorage.removeItem(this.BEST_RUN_KEY);
+            SaveSchema.DIFFICULTIES.forEach((difficulty) => {
+                localStorage.removeItem(this.BEST_RUN_KEY + '_' + difficulty);
+            });
+        } catch (error) {
+            console.warn('Failed to remove best runs:', error);
+        }
+    },
+
+    /**
+     * CloudStorage is callback based. Resolves with null when it is not
+     * available, fails or does not answer in time.
+     * @return {Promise<Object>}
+     */
+    readCloud() {
+        if (!this.cloudStorage) return Promise.resolve(null);
+
+        return new Promise((resolve) => {
+            const timeoutId = setTimeout(() => {
+                console.warn('CloudStorage read timed out');
+                resolve(null);
+            }, this.CLOUD_TIMEOUT);
+
+            try {
+                this.cloudStorage.getItem(this.CLOUD_KEY, (error, value) => {
+                    clearTimeout(timeoutId);
+                    if (error) {
+                        console.warn('Failed to read cloud save data:', error);
+                        resolve(null);
+                        return;
+                    }
+                    resolve(this.parse(value, 'cloud'));
+                });
+            } catch (error) {
+                clearTimeout(timeoutId);
+                console.warn('Failed to read cloud save data:', error);
+                resolve(null);
+            }
+        });
+    },
+
+    /**
+     * @param {Object} data
+     * @return {Promise<boolean>} Whether CloudStorage stored the data.
+     */
+    writeCloud(data) {
+        if (!this.cloudStorage || this.cloudReadOnly) return Promise.resolve(false);
+
+        return new Promise((resolve) => {
+            const timeoutId = setTimeout(() => resolve(false), this.CLOUD_TIMEOUT);
+
+            try {
+                this.cloudStorage.setItem(this.CLOUD_KEY, JSON.stringify(data),
+                    (error, stored) => {
+                        clearTimeout(timeoutId);
+                        if (error) {
+                            console.warn('Failed to write cloud save data:', error);
+                        }
+                        resolve(!error && stored !== false);
+                    });
+            } catch (error) {
+                clearTimeout(timeoutId);
+                console.warn('Failed to write cloud save data:', error);
+                resolve(false);
+            }
+        });
+    }
+};
+
+// Player-facing strings. Messages are looked up in the bundle for the
+// player's language, falling back to English. A message is a string with
+// {name} placeholders, or an object keyed by plural category and chosen by
+// the `count` parameter.
+const I18n = {
+    DEFAULT_LOCALE: 'en',
+    locale: 'en',
+
+    messages: {
+        en: {
+            'start.title': 'Tap to Start Game',
+            'start.info': 'Score points by jumping over obstacles!',
+            'controls.jump': 'Jump',
+            'controls.duck': 'Duck',
+            'controls.dash': 'Dash',
+            'hud.score': 'Score',
+            'hud.best': 'Best',
+            'hud.target': 'Target',
+            'hud.ghost': 'Ghost',
+            'hud.powerUps': 'Power-ups',
+            'hud.powerUpTime': '{label} {seconds}s',
+            'gameOver.title': 'GAME OVER',
+            'gameOver.share': '📤 Share',
+            'gameOver.leaderboard': '🏆 Leaderboard',
+            'gameOver.replay': '🎬 Replay',
+            'gameOver.raceGhost': '👻 Race ghost',
+            'button.start': 'Start',
+            'button.resume': 'Resume',
+            'button.playAgain': 'Play again',
+            'button.share': 'Share',
+            'common.close': 'Close',
+            'dialog.ok': 'OK',
+            'dialog.cancel': 'Cancel',
+            'leaderboard.title': 'Leaderboard',
+            'leaderboard.global': 'Global',
+            'leaderboard.chat': 'This chat',
+            'leaderboard.around': 'Around me',
+            'leaderboard.loading': 'Loading…',
+            'leaderboard.offline': 'Leaderboard unavailable offline',
+            'leaderboard.empty': 'No scores yet',
+            'leaderboard.you': 'You',
+            'leaderboard.player': 'Player',
+            'settings.title': 'Settings',
+            'settings.sound': 'Sound',
+            'settings.volume': 'Volume',
+            'settings.vibration': 'Vibration',
+            'settings.hapticIntensity': 'Vibration strength',
+            'settings.hapticIntensity.low': 'Low',
+            'settings.hapticIntensity.normal': 'Normal',
+            'settings.hapticIntensity.strong': 'Strong',
+            'settings.controls': 'Controls',
+            'settings.controls.right': 'Jump on the right',
+            'settings.controls.left': 'Jump on the left',
+            'settings.controls.tap': 'Tap anywhere',
+            'settings.reducedMotion': 'Reduce motion',
+            'settings.ghost': 'Ghost of your best run on the same course',
+            'settings.difficulty': 'Difficulty',
+            'settings.customGame': 'Private game',
+            'settings.customGame.open': 'Build…',
+            'settings.reset': 'Reset progress',
+            'record.title': 'New record!',
+            'record.message': 'You scored {score} and beat your previous best.',
+            'reset.title': 'Reset progress?',
+            'reset.message': 'Your best score and game history will be deleted. Settings are kept.',
+            'reset.confirm': 'Reset',
+            'leave.message': 'Leave the game? Your current run will be lost.',
+            'daily.title': 'Daily Run',
+            'daily.ranked': 'This run counts for today\'s ranking.',
+            'daily.practice': 'Practice run. Only your first attempt today is ranked.',
+            'daily.score': 'Today\'s score',
+            'daily.rank': 'Today\'s rank',
+            'daily.streak': 'Streak',
+            'daily.best': 'Best daily score',
+            'daily.streakDays': { one: '{count} day', other: '{count} days' },
+            'difficulty.easy': 'Easy',
+            'difficulty.classic': 'Classic',
+            'difficulty.hard': 'Hard',
+            'difficulty.insane': 'Insane',
+            'difficulty.custom': 'Custom',
+            'custom.title': 'Private game',
+            'custom.info': 'Set your own difficulty and send the link to friends. Private games are not ranked.',
+            'custom.speed': 'Starting speed',
+            'custom.acceleration': 'Acceleration',
+            'custom.maxSpeed': 'Top speed',
+            'custom.gap': 'Obstacle spacing',
+            'custom.pterodactyl': 'Birds from speed',
+            'custom.play': 'Play',
+            'custom.shareText': 'Can you survive my T-Rex Runner course?',
+            'custom.copied': 'Link copied. Send it to your friends!',
+            'replay.title': 'Replay',
+            'replay.play': 'Play',
+            'replay.pause': 'Pause',
+            'replay.speed': 'Playback speed',
+            'replay.seek': 'Position',
+            'replay.export': 'Export run',
+            'replay.time': '{time} / {total} s',
+            'card.points': { one: 'point', other: 'points' },
+            'card.best': 'Best {best}',
+            'share.text': {
+                one: 'I scored {count} point in T-Rex Runner! My best is {best}.',
+                other: 'I scored {count} points in T-Rex Runner! My best is {best}.'
+            },
+            'error.title': 'Game Error',
+            'error.message': 'Failed to initialize the game. Please refresh and try again.',
+            'error.refresh': 'Refresh',
+            'disabledEasterEgg': 'The game is disabled on this device.'
+        },
+        ru: {
+            'start.title': 'Нажмите, чтобы начать',
+            'start.info': 'Прыгайте через препятствия и набирайте очки!',
+            'controls.jump': 'Прыжок',
+            'controls.duck': 'Пригнуться',
+            'controls.dash': 'Рывок',
+            'hud.score': 'Очки',
+            'hud.best': 'Рекорд',
+            'hud.target': 'Цель',
+            'hud.ghost': 'Призрак',
+            'hud.powerUps': 'Бонусы',
+            'hud.powerUpTime': '{label} {seconds} с',
+            'gameOver.title': 'ИГРА ОКОНЧЕНА',
+            'gameOver.share': '📤 Поделиться',
+            'gameOver.leaderboard': '🏆 Рейтинг',
+            'gameOver.replay': '🎬 Повтор',
+            'gameOver.raceGhost': '👻 Гонка с призраком',
+            'button.start': 'Начать',
+            'button.resume': 'Продолжить',
+            'button.playAgain': 'Играть снова',
+            'button.share': 'Поделиться',
+            'common.close': 'Закрыть',
+            'dialog.ok': 'ОК',
+            'dialog.cancel': 'Отмена',
+            'leaderboard.title': 'Рейтинг',
+            'leaderboard.global': 'Все',
+            'leaderboard.chat': 'Этот чат',
+            'leaderboard.around': 'Рядом со мной',
+            'leaderboard.loading': 'Загрузка…',
+            'leaderboard.offline': 'Рейтинг недоступен офлайн',
+            'leaderboard.empty': 'Пока нет результатов',
+            'leaderboard.you': 'Вы',
+            'leaderboard.player': 'Игрок',
+            'settings.title': 'Настройки',
+            'settings.sound': 'Звук',
+            'settings.volume': 'Громкость',
+            'settings.vibration': 'Вибрация',
+            'settings.hapticIntensity': 'Сила вибрации',
+            'settings.hapticIntensity.low': 'Слабая',
+            'settings.hapticIntensity.normal': 'Обычная',
+            'settings.hapticIntensity.strong': 'Сильная',
+            'settings.controls': 'Управление',
+            'settings.controls.right': 'Прыжок справа',
+            'settings.controls.left': 'Прыжок слева',
+            'settings.controls.tap': 'Касание в любом месте',
+            'settings.reducedMotion': 'Меньше анимации',
+            'settings.ghost': 'Призрак лучшего забега на той же трассе',
+            'settings.difficulty': 'Сложность',
+            'settings.customGame': 'Частная игра',
+            'settings.customGame.open': 'Создать…',
+            'settings.reset': 'Сбросить прогресс',
+            'record.title': 'Новый рекорд!',
+            'record.message': 'Вы набрали {score} и побили свой прошлый рекорд.',
+            'reset.title': 'Сбросить прогресс?',
+            'reset.message': 'Рекорд и история игр будут удалены. Настройки сохранятся.',
+            'reset.confirm': 'Сбросить',
+            'leave.message': 'Выйти из игры? Текущий забег будет потерян.',
+            'daily.title': 'Забег дня',
+            'daily.ranked': 'Этот забег идёт в рейтинг дня.',
+            'daily.practice': 'Тренировка. В рейтинг идёт только первая попытка за день.',
+            'daily.score': 'Результат дня',
+            'daily.rank': 'Место сегодня',
+            'daily.streak': 'Серия',
+            'daily.best': 'Лучший забег дня',
+            'daily.streakDays': { one: '{count} день', few: '{count} дня', many: '{count} дней', other: '{count} дня' },
+            'difficulty.easy': 'Лёгкая',
+            'difficulty.classic': 'Классика',
+            'difficulty.hard': 'Сложная',
+            'difficulty.insane': 'Безумная',
+            'difficulty.custom': 'Своя',
+            'custom.title': 'Частная игра',
+            'custom.info': 'Настройте сложность и отправьте ссылку друзьям. Частные игры не идут в рейтинг.',
+            'custom.speed': 'Начальная скорость',
+            'custom.acceleration': 'Ускорение',
+            'custom.maxSpeed': 'Макс. скорость',
+            'custom.gap': 'Расстояние между препятствиями',
+            'custom.pterodactyl': 'Птицы со скорости',
+            'custom.play': 'Играть',
+            'custom.shareText': 'Сможешь пройти мою трассу в T-Rex Runner?',
+            'custom.copied': 'Ссылка скопирована. Отправьте её друзьям!',
+            'replay.title': 'Повтор',
+            'replay.play': 'Воспроизвести',
+            'replay.pause': 'Пауза',
+            'replay.speed': 'Скорость воспроизведения',
+            'replay.seek': 'Позиция',
+            'replay.export': 'Экспортировать забег',
+            'replay.time': '{time} / {total} с',
+            'card.points': { one: 'очко', few: 'очка', many: 'очков', other: 'очка' },
+            'card.best': 'Рекорд {best}',
+            'share.text': {
+                one: 'Я набрал {count} очко в T-Rex Runner! Мой рекорд — {best}.',
+                few: 'Я набрал {count} очка в T-Rex Runner! Мой рекорд — {best}.',
+                many: 'Я набрал {count} очков в T-Rex Runner! Мой рекорд — {best}.',
+                other: 'Я набрал {count} очка в T-Rex Runner! Мой рекорд — {best}.'
+            },
+            'error.title': 'Ошибка игры',
+            'error.message': 'Не удалось запустить игру. Обновите страницу и попробуйте снова.',
+            'error.refresh': 'Обновить',
+            'disabledEasterEgg': 'Игра отключена на этом устройстве.'
+        },
+        es: {
+            'start.title': 'Toca para empezar',
+            'start.info': '¡Salta los obstáculos para sumar puntos!',
+            'controls.jump': 'Saltar',
+            'controls.duck': 'Agacharse',
+            'controls.dash': 'Impulso',
+            'hud.score': 'Puntos',
+            'hud.best': 'Récord',
+            'hud.target': 'Objetivo',
+            'hud.ghost': 'Fantasma',
+            'hud.powerUps': 'Potenciadores',
+            'hud.powerUpTime': '{label} {seconds} s',
+            'gameOver.title': 'FIN DEL JUEGO',
+            'gameOver.share': '📤 Compartir',
+            'gameOver.leaderboard': '🏆 Clasificación',
+            'gameOver.replay': '🎬 Repetición',
+            'gameOver.raceGhost': '👻 Carrera fantasma',
+            'button.start': 'Empezar',
+            'button.resume': 'Continuar',
+            'button.playAgain': 'Jugar de nuevo',
+            'button.share': 'Compartir',
+            'common.close': 'Cerrar',
+            'dialog.ok': 'Aceptar',
+            'dialog.cancel': 'Cancelar',
+            'leaderboard.title': 'Clasificación',
+            'leaderboard.global': 'Global',
+            'leaderboard.chat': 'Este chat',
+            'leaderboard.around': 'Cerca de mí',
+            'leaderboard.loading': 'Cargando…',
+            'leaderboard.offline': 'Clasificación no disponible sin conexión',
+            'leaderboard.empty': 'Aún no hay puntuaciones',
+            'leaderboard.you': 'Tú',
+            'leaderboard.player': 'Jugador',
+            'settings.title': 'Ajustes',
+            'settings.sound': 'Sonido',
+            'settings.volume': 'Volumen',
+            'settings.vibration': 'Vibración',
+            'settings.hapticIntensity': 'Intensidad de vibración',
+            'settings.hapticIntensity.low': 'Baja',
+            'settings.hapticIntensity.normal': 'Normal',
+            'settings.hapticIntensity.strong': 'Alta',
+            'settings.controls': 'Controles',
+            'settings.controls.right': 'Saltar a la derecha',
+            'settings.controls.left': 'Saltar a la izquierda',
+            'settings.controls.tap': 'Tocar en cualquier sitio',
+            'settings.reducedMotion': 'Reducir movimiento',
+            'settings.ghost': 'Fantasma de tu mejor partida en el mismo recorrido',
+            'settings.difficulty': 'Dificultad',
+            'settings.customGame': 'Partida privada',
+            'settings.customGame.open': 'Crear…',
+            'settings.reset': 'Restablecer progreso',
+            'record.title': '¡Nuevo récord!',
+            'record.message': 'Has conseguido {score} y superado tu mejor marca.',
+            'reset.title': '¿Restablecer progreso?',
+            'reset.message': 'Se borrarán tu mejor puntuación y tu historial de partidas. Los ajustes se conservan.',
+            'reset.confirm': 'Restablecer',
+            'leave.message': '¿Salir del juego? Perderás la partida actual.',
+            'daily.title': 'Carrera diaria',
+            'daily.ranked': 'Esta partida cuenta para la clasificación de hoy.',
+            'daily.practice': 'Partida de práctica. Solo cuenta tu primer intento del día.',
+            'daily.score': 'Puntuación de hoy',
+            'daily.rank': 'Posición de hoy',
+            'daily.streak': 'Racha',
+            'daily.best': 'Mejor carrera diaria',
+            'daily.streakDays': { one: '{count} día', other: '{count} días' },
+            'difficulty.easy': 'Fácil',
+            'difficulty.classic': 'Clásico',
+            'difficulty.hard': 'Difícil',
+            'difficulty.insane': 'Extremo',
+            'difficulty.custom': 'Personalizado',
+            'custom.title': 'Partida privada',
+            'custom.info': 'Ajusta tu propia dificultad y envía el enlace a tus amigos. Las partidas privadas no puntúan en la clasificación.',
+            'custom.speed': 'Velocidad inicial',
+            'custom.acceleration': 'Aceleración',
+            'custom.maxSpeed': 'Velocidad máxima',
+            'custom.gap': 'Separación de obstáculos',
+            'custom.pterodactyl': 'Pájaros desde velocidad',
+            'custom.play': 'Jugar',
+            'custom.shareText': '¿Puedes superar mi recorrido de T-Rex Runner?',
+            'custom.copied': 'Enlace copiado. ¡Envíalo a tus amigos!',
+            'replay.title': 'Repetición',
+            'replay.play': 'Reproducir',
+            'replay.pause': 'Pausa',
+            'replay.speed': 'Velocidad de reproducción',
+            'replay.seek': 'Posición',
+            'replay.export': 'Exportar partida',
+            'replay.time': '{time} / {total} s',
+            'card.points': { one: 'punto', other: 'puntos' },
+            'card.best': 'Récord {best}',
+            'share.text': {
+                one: '¡Hice {count} punto en T-Rex Runner! Mi récord es {best}.',
+                other: '¡Hice {count} puntos en T-Rex Runner! Mi récord es {best}.'
+            },
+            'error.title': 'Error del juego',
+            'error.message': 'No se pudo iniciar el juego. Recarga la página e inténtalo de nuevo.',
+            'error.refresh': 'Recargar',
+            'disabledEasterEgg': 'El juego está desactivado en este dispositivo.'
+        }
+    },
+
+    /**
+     * Pick the locale from the Telegram user's language, then the browser's,
+     * and translate the static page.
+     */
+    init() {
+        const player = TelegramGameAPI.getPlayer();
+        this.locale = this.resolveLocale(
+            (player && player.language_code) || navigator.language);
+        document.documentElement.lang = this.locale;
+        this.translate(document);
+    },
+
+    /**
+     * @param {string} languageTag e.g. 'ru', 'es-MX'.
+     * @return {string} A locale with a bundle.
+     */
+    resolveLocale(languageTag) {
+        const language = String(languageTag || '').toLowerCase().split(/[-_]/)[0];
+        return this.messages[language] ? language : this.DEFAULT_LOCALE;
+    },
+
+    /**
+     * Look up a message and fill in its placeholders. Numbers are formatted
+     * for the locale.
+     * @param {string} key
+     * @param {Object=} opt_params Placeholder values; `count` selects the
+     *     plural form.
+     * @return {string}
+     */
+    t(key, opt_params) {
+        const params = opt_params || {};
+        let message = this.messages[this.locale][key];
+        if (message === undefined) {
+            message = this.messages[this.DEFAULT_LOCALE][key];
+        }
+        if (message === undefined) {
+            console.warn('Missing message:', key);
+            return key;
+        }
+
+        if (typeof message == 'object') {
+            message = message[this.getPluralCategory(params.count)] || message.other;
+        }
+        return message.replace(/\{(\w+)\}/g, (match, name) => {
+            const value = params[name];
+            if (value === undefined) return match;
+            return typeof value == 'number' ? this.formatNumber(value) : value;
+        });
+    },
+
+    /**
+     * @param {number} count
+     * @return {string} CLDR plural category: one, few, many or other.
+     */
+    getPluralCategory(count) {
+        if (typeof Intl == 'undefined' || !Intl.PluralRules) {
+            return count == 1 ? 'one' : 'other';
+        }
+        return new Intl.PluralRules(this.locale).select(count || 0);
+    },
+
+    /**
+     * @param {number} value
+     * @return {string}
+     */
+    formatNumber(value) {
+        if (typeof Intl == 'undefined' || !Intl.NumberFormat) {
+            return String(value);
+        }
+        return new Intl.NumberFormat(this.locale).format(value);
+    },
+
+    /**
+     * Translate elements marked with data-i18n (text) and
+     * data-i18n-aria-label (accessible name).
+     * @param {ParentNode} root
+     */
+    translate(root) {
+        root.querySelectorAll('[data-i18n]').forEach((el) => {
+            el.textContent = this.t(el.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-aria-label]').forEach((el) => {
+            el.setAttribute('aria-label', this.t(el.dataset.i18nAriaLabel));
+        });
+    }
+};
+
+// Launch modes. The launch descriptor comes from the Telegram start_param
+// (t.me/<bot>/<app>?startapp=...) or, outside Telegram, from the query
+// string, and tells the Runner which experience to open.
+//
+// start_param only allows [A-Za-z0-9_-], so it is written as underscore
+// separated segments: an optional mode name, then key-value pairs, e.g.
+// "challenge_target-1200_ref-12345" or "seed-k3x9". In a browser the same
+// fields are read from ?mode=&seed=&target=&ref=&difficulty=. A "daily"
+// launch ignores seed and plays the course of the current UTC day. A
+// "custom" launch is a private game on the difficulty encoded by
+// CustomDifficulty, e.g. "custom_difficulty-s60a10m130g6p85".
+const LaunchRouter = {
+    MODES: ['classic', 'challenge', 'daily', 'custom'],
+    DEFAULT_MODE: 'classic',
+    launch: null,
+
+    /**
+     * @return {Object} The launch descriptor for this page load.
+     */
+    getLaunch() {
+        if (!this.launch) {
+            const app = TelegramGameAPI.app;
+            const startParam = app && app.initDataUnsafe &&
+                app.initDataUnsafe.start_param;
+
+            if (startParam) {
+                this.launch = this.createDescriptor(
+                    this.parseStartParam(startParam), 'telegram');
+            } else {
+                const query = new URLSearchParams(window.location.search);
+                this.launch = this.createDescriptor({
+                    mode: query.get('mode'),
+                    seed: query.get('seed'),
+                    target: query.get('target'),
+                    ref: query.get('ref'),
+                    difficulty: query.get('difficulty')
+                }, query.get('mode') ? 'query' : 'default');
+            }
+        }
+        return this.launch;
+    },
+
+    /**
+     * @param {string} startParam
+     * @return {Object} Raw fields: mode, seed, target, ref and difficulty.
+     */
+    parseStartParam(startParam) {
+        const fields = {};
+
+        startParam.split('_').forEach((segment, index) => {
+            const separator = segment.indexOf('-');
+            if (separator == -1) {
+                // A bare segment names the mode, and only comes first.
+                if (index == 0) {
+                    fields.mode = segment;
+                }
+                return;
+            }
+            fields[segment.slice(0, separator)] = segment.slice(separator + 1);
+        });
+        return fields;
+    },
+
+    /**
+     * Validate raw fields into a launch descriptor. Unknown modes and
+     * malformed values are dropped so a bad link still opens the game.
+     * @param {Object} fields
+     * @param {string} source 'telegram', 'query' or 'default'.
+     * @return {{mode: string, seed: ?string, target: ?number,
+     *     referrer: ?number, day: ?string, custom: ?Object, source: string}}
+     */
+    createDescriptor(fields, source) {
+        let mode = fields.mode || this.DEFAULT_MODE;
+        if (this.MODES.indexOf(mode) == -1) {
+            console.warn('Unknown launch mode:', mode);
+            mode = this.DEFAULT_MODE;
+        }
+
+        const target = Number(fields.target);
+        const referrer = Number(fields.ref);
+        const hasTarget = Number.isInteger(target) && target > 0;
+        // Fixed at launch, so a session that runs past midnight keeps
+        // playing the course it opened with.
+        const day = mode == 'daily' ? DailyRun.getDay() : null;
+        const custom = mode == 'custom' ?
+            CustomDifficulty.decode(fields.difficulty || '') : null;
+
+        // A challenge needs a score to beat, a custom game its difficulty.
+        if ((mode == 'challenge' && !hasTarget) || (mode == 'custom' && !custom)) {
+            mode = this.DEFAULT_MODE;
+        }
+
+        return {
+            mode: mode,
+            seed: day ? DailyRun.getSeed(day) :
+                /^[A-Za-z0-9]{1,32}$/.test(fields.seed || '') ? fields.seed : null,
+            target: hasTarget ? target : null,
+            referrer: Number.isInteger(referrer) && referrer > 0 ? referrer : null,
+            day: day,
+            custom: custom,
+            source: source
+        };
+    },
+
+    /**
+     * Create the Runner for this launch and subscribe the Telegram glue, HUD
+     * and analytics to it.
+     * @param {string} outerContainerId
+     * @return {Runner}
+     */
+    start(outerContainerId) {
+        TelegramGameAPI.init();
+        I18n.init();
+
+        const runner = new Runner(outerContainerId, null, this.getLaunch());
+        TelegramIntegration.attach(runner);
+        Hud.attach(runner);
+        HapticsEngine.attach(runner);
+        Dialogs.attach(runner);
+        DailyRun.attach(runner);
+        ReplayPlayer.attach(runner);
+        Analytics.attach(runner);
+        return runner;
+    }
+};
+
+// Telegram MainButton / SecondaryButton driven by the game state.
+const BottomButtons = {
+    /**
+     * Button setup for each game state, with message keys for the text.
+     * Buttons not listed are hidden.
+     * @enum {Object}
+     */
+    layouts: {
+        waiting: { main: { text: 'button.start', action: 'start' } },
+        playing: {},
+        paused: { main: { text: 'button.resume', action: 'resume' } },
+        crashed: {
+            main: { text: 'button.playAgain', action: 'restart' },
+            secondary: { text: 'button.share', action: 'share' }
+        }
+    },
+
+    runner: null,
+    state: null,
+    mainAction: null,
+    secondaryAction: null,
+    clearTimerId: null,
+
+    /**
+     * @param {Runner} runner
+     */
+    attach(runner) {
+        const app = TelegramGameAPI.app;
+        if (!app || this.runner) return;
+
+        this.runner = runner;
+        this.main = app.MainButton;
+        this.secondary = app.SecondaryButton || null;
+
+        this.main.onClick(() => this.handleClick(this.mainAction, this.main));
+        if (this.secondary) {
+            this.secondary.onClick(() =>
+                this.handleClick(this.secondaryAction, this.secondary));
+        }
+
+        const lifecycle = Runner.lifecycle;
+        [lifecycle.START, lifecycle.PAUSE, lifecycle.RESUME, lifecycle.CRASH,
+            lifecycle.RESTART, lifecycle.PROFILE].forEach((type) => {
+            runner.on(type, () => this.sync());
+        });
+        this.sync();
+    },
+
+    /**
+     * Bring the buttons in line with the current game state.
+     */
+    sync() {
+        if (!this.runner) return;
+
+        const state = this.runner.getGameState();
+        const layout = this.layouts[state];
+
+        this.state = state;
+        this.mainAction = this.apply(this.main, layout.main);
+        this.secondaryAction = this.apply(this.secondary, layout.secondary);
+
+        // Waiting for the saved profile before the first run.
+        if (state == 'waiting' && !this.runner.userDataLoaded) {
+            this.main.showProgress(false);
+        } else {
+            this.main.hideProgress();
+        }
+
+        // Restarting is blocked for a moment after a crash, like the keyboard.
+        clearTimeout(this.clearTimerId);
+        if (state == 'crashed') {
+            const remaining = this.runner.getRestartDelay();
+            if (remaining > 0) {
+                this.main.disable();
+                this.clearTimerId = setTimeout(() => this.sync(), remaining);
+            }
+        }
+    },
+
+    /**
+     * @param {Object} button Telegram bottom button.
+     * @param {Object} config Layout entry, or undefined to hide the button.
+     * @return {string} Action bound to the button.
+     */
+    apply(button, config) {
+        if (!button) return null;
+
+        if (!config) {
+            button.hide();
+            return null;
+        }
+        button.setParams({ text: I18n.t(config.text), is_visible: true, is_active: true });
+        return config.action;
+    },
+
+    /**
+     * @param {string} action
+     * @param {Object} button
+     */
+    handleClick(action, button) {
+        const runner = this.runner;
+
+        switch (action) {
+            case 'start':
+                runner.start();
+                break;
+            case 'resume':
+                runner.resume();
+                break;
+            case 'restart':
+                runner.restart();
+                break;
+            case 'share':
+                button.showProgress(false);
+                runner.shareScore().then(() => button.hideProgress());
+                break;
+        }
+    }
+};
+
+// Haptic patterns for gameplay events. A pattern is a timed sequence of
+// impact, notification and selection pulses, as offered by Telegram's
+// HapticFeedback, and may include other patterns by name. Outside Telegram
+// the same timeline is played through navigator.vibrate.
+const HapticsEngine = {
+    /**
+     * Impact styles from weakest to strongest.
+     * @const
+     */
+    IMPACT_STYLES: ['soft', 'light', 'medium', 'heavy', 'rigid'],
+
+    /**
+     * Per intensity setting: steps along IMPACT_STYLES and the factor applied
+     * to navigator.vibrate durations.
+     * @enum {{shift: number, scale: number}}
+     */
+    INTENSITIES: {
+        low: { shift: -1, scale: 0.6 },
+        normal: { shift: 0, scale: 1 },
+        strong: { shift: 1, scale: 1.5 }
+    },
+
+    /**
+     * navigator.vibrate duration in ms of each pulse.
+     * @enum {number}
+     */
+    VIBRATION_MS: {
+        soft: 10,
+        light: 20,
+        medium: 35,
+        heavy: 50,
+        rigid: 60,
+        selection: 8,
+        success: 30,
+        warning: 40,
+        error: 60
+    },
+
+    /**
+     * Named patterns. Each step waits `delay` ms after the previous one and
+     * plays an impact, a notification, a selection pulse or another pattern.
+     * A pattern does not interrupt a running one of higher priority.
+     */
+    patterns: {
+        tap: { priority: 0, steps: [{ impact: 'light' }] },
+        jump: { priority: 0, steps: [{ impact: 'light' }] },
+        duck: { priority: 0, steps: [{ impact: 'soft' }] },
+        doubleJump: { priority: 0, steps: [
+            { impact: 'light' },
+            { delay: 50, impact: 'light' }
+        ] },
+        dash: { priority: 0, steps: [{ impact: 'rigid' }] },
+        nearMiss: { priority: 1, steps: [
+            { selection: true },
+            { delay: 60, impact: 'medium' }
+        ] },
+        flyby: { priority: 1, steps: [
+            { selection: true },
+            { delay: 80, selection: true },
+            { delay: 80, selection: true }
+        ] },
+        coin: { priority: 0, steps: [{ selection: true }] },
+        powerUp: { priority: 1, steps: [
+            { impact: 'medium' },
+            { delay: 70, selection: true }
+        ] },
+        shield: { priority: 2, steps: [
+            { impact: 'rigid' },
+            { delay: 80, notification: 'warning' }
+        ] },
+        milestone1: { priority: 1, steps: [{ notification: 'success' }] },
+        milestone2: { priority: 1, steps: [
+            { pattern: 'milestone1' },
+            { delay: 120, impact: 'medium' }
+        ] },
+        milestone3: { priority: 1, steps: [
+            { pattern: 'milestone2' },
+            { delay: 100, impact: 'heavy' },
+            { delay: 100, impact: 'heavy' }
+        ] },
+        record: { priority: 2, steps: [
+            { notification: 'success' },
+            { delay: 150, impact: 'heavy' },
+            { delay: 90, impact: 'rigid' },
+            { delay: 120, notification: 'success' }
+        ] },
+        crash: { priority: 3, steps: [
+            { impact: 'heavy' },
+            { delay: 80, notification: 'error' }
+        ] },
+        crashRecord: { priority: 3, steps: [
+            { pattern: 'crash' },
+            { delay: 400, pattern: 'record' }
+        ] }
+    },
+
+    runner: null,
+    timers: [],
+    current: null,
+
+    /**
+     * @param {Runner} runner
+     */
+    attach(runner) {
+        if (this.runner) return;
+        this.runner = runner;
+
+        const lifecycle = Runner.lifecycle;
+        runner.on(lifecycle.JUMP, (event) => {
+            this.play(event.doubleJump ? 'doubleJump' : 'jump');
+        });
+        runner.on(lifecycle.DUCK, () => this.play('duck'));
+        runner.on(lifecycle.DASH, () => this.play('dash'));
+        runner.on(lifecycle.NEAR_MISS, () => this.play('nearMiss'));
+        runner.on(lifecycle.FLYBY, () => this.play('flyby'));
+        runner.on(lifecycle.MILESTONE, (event) => {
+            this.play('milestone' + this.getMilestoneTier(event.distance));
+        });
+        runner.on(lifecycle.COIN, () => this.play('coin'));
+        runner.on(lifecycle.POWER_UP, () => this.play('powerUp'));
+        runner.on(lifecycle.SHIELD, () => this.play('shield'));
+        runner.on(lifecycle.RECORD, () => this.play('record'));
+        runner.on(lifecycle.CRASH, (event) => {
+            this.play(event.isHighScore || event.challengeCompleted ?
+                'crashRecord' : 'crash');
+        });
+    },
+
+    /**
+     * Milestones every 1000 points are tier 3, every 500 tier 2, others tier 1.
+     * @param {number} distance
+     * @return {number}
+     */
+    getMilestoneTier(distance) {
+        if (distance % 1000 == 0) return 3;
+        if (distance % 500 == 0) return 2;
+        return 1;
+    },
+
+    /**
+     * Play a pattern by name, replacing the running one unless that has a
+     * higher priority.
+     * @param {string} name
+     */
+    play(name) {
+        const pattern = this.patterns[name];
+        if (!pattern) {
+            console.warn('Unknown haptic pattern:', name);
+            return;
+        }
+        if (!TelegramGameAPI.isHapticEnabled()) return;
+
+        const now = Date.now();
+        if (this.current && this.current.endsAt > now &&
+            this.current.priority > pattern.priority) {
+            return;
+        }
+        this.cancel();
+
+        const intensity = this.getIntensity();
+        const pulses = this.compile(name).map((pulse) => this.applyIntensity(pulse, intensity));
+        if (!pulses.length) return;
+        this.current = {
+            priority: pattern.priority,
+            endsAt: now + pulses[pulses.length - 1].at
+        };
+
+        if (TelegramGameAPI.hapticFeedback) {
+            pulses.forEach((pulse) => {
+                if (pulse.at) {
+                    this.timers.push(setTimeout(() => this.pulse(pulse), pulse.at));
+                } else {
+                    this.pulse(pulse);
+                }
+            });
+        } else if (navigator.vibrate) {
+            navigator.vibrate(this.toVibration(pulses, intensity));
+        }
+    },
+
+    /**
+     * Stop the running pattern.
+     */
+    cancel() {
+        this.timers.forEach((timer) => clearTimeout(timer));
+        this.timers = [];
+        if (this.current && !TelegramGameAPI.hapticFeedback && navigator.vibrate) {
+            navigator.vibrate(0);
+        }
+        this.current = null;
+    },
+
+    /**
+     * @return {{shift: number, scale: number}}
+     */
+    getIntensity() {
+        const settings = TelegramGameAPI.getUserData().settings;
+        return this.INTENSITIES[settings.hapticIntensity] || this.INTENSITIES.normal;
+    },
+
+    /**
+     * Flatten a pattern, with the patterns it includes, into pulses at
+     * absolute times.
+     * @param {string} name
+     * @param {number=} opt_start Time in ms the pattern starts at.
+     * @param {Array<string>=} opt_path Patterns being expanded, to stop cycles.
+     * @return {Array<{at: number, kind: string, value: string}>}
+     */
+    compile(name, opt_start, opt_path) {
+        const path = opt_path || [];
+        const pattern = this.patterns[name];
+        const pulses = [];
+        let time = opt_start || 0;
+
+        if (!pattern || path.indexOf(name) != -1) {
+            console.warn('Cannot expand haptic pattern:', name);
+            return pulses;
+        }
+
+        pattern.steps.forEach((step) => {
+            time += step.delay || 0;
+            if (step.pattern) {
+                const nested = this.compile(step.pattern, time, path.concat(name));
+                if (nested.length) {
+                    time = nested[nested.length - 1].at;
+                }
+                pulses.push(...nested);
+            } else if (step.impact) {
+                pulses.push({ at: time, kind: 'impact', value: step.impact });
+            } else if (step.notification) {
+                pulses.push({ at: time, kind: 'notification', value: step.notification });
+            } else if (step.selection) {
+                pulses.push({ at: time, kind: 'selection', value: 'selection' });
+            }
+        });
+        return pulses;
+    },
+
+    /**
+     * Move an impact pulse along IMPACT_STYLES by the intensity's shift.
+     * Notifications and selections have no strength to adjust.
+     */
+    applyIntensity(pulse, intensity) {
+        if (pulse.kind != 'impact') return pulse;
+        const styles = this.IMPACT_STYLES;
+        const index = Math.max(0, Math.min(styles.length - 1,
+            styles.indexOf(pulse.value) + intensity.shift));
+        return Object.assign({}, pulse, { value: styles[index] });
+    },
+
+    pulse(pulse) {
+        const haptics = TelegramGameAPI.hapticFeedback;
+        switch (pulse.kind) {
+            case 'impact':
+                haptics.impactOccurred(pulse.value);
+                break;
+            case 'notification':
+                haptics.notificationOccurred(pulse.value);
+                break;
+            case 'selection':
+                haptics.selectionChanged();
+                break;
+        }
+    },
+
+    /**
+     * Turn pulses into a navigator.vibrate pattern of alternating vibration
+     * and pause durations. Pulses that overlap are merged.
+     * @return {Array<number>}
+     */
+    toVibration(pulses, intensity) {
+        const pattern = [];
+        let end = 0;
+
+        pulses.forEach((pulse) => {
+            const duration = Math.round(this.VIBRATION_MS[pulse.value] * intensity.scale);
+            const gap = Math.max(0, pulse.at - end);
+            if (!pattern.length) {
+                if (gap) pattern.push(0, gap);
+                pattern.push(duration);
+            } else if (gap) {
+                pattern.push(gap, duration);
+            } else {
+                pattern[pattern.length - 1] += duration;
+            }
+            end = Math.max(end, pulse.at) + duration;
+        });
+        return pattern;
+    }
+};
+
+// Telegram glue: saving and submitting scores, the bottom buttons
+// and the WebApp's viewport and theme events, driven by Runner lifecycle
+// events.
+const TelegramIntegration = {
+    runner: null,
+
+    /**
+     * @param {Runner} runner
+     */
+    attach(runner) {
+        if (this.runner) return;
+        this.runner = runner;
+
+        const lifecycle = Runner.lifecycle;
+        runner.on(lifecycle.CRASH, (event) => this.onCrash(event));
+
+        if (!runner.isTelegramEnvironment) return;
+
+        // The BackButton stands in for Telegram's Close button during a run,
+        // so leaving mid-run goes through the confirmation in
+        // TelegramGameAPI.setupBackButton().
+        const backButton = TelegramGameAPI.app.BackButton;
+        if (backButton) {
+            runner.on(lifecycle.START, () => backButton.show());
+            runner.on(lifecycle.RESTART, () => backButton.show());
+            runner.on(lifecycle.CRASH, () => backButton.hide());
+        }
+
+        BottomButtons.attach(runner);
+        this.listenToApp();
+    },
+
+    /**
+     * Save the run, and report it to the backend and the bot in Telegram.
+     * @param {Object} event Crash event detail.
+     */
+    onCrash(event) {
+        const runner = this.runner;
+
+        // Coins from custom games are not banked, as those can be made as easy
+        // as the player likes.
+        TelegramGameAPI.saveScore(event.score, event.isHighScore, runner.difficulty,
+            runner.launch.mode == 'custom' ? 0 : event.coins);
+
+        // Custom games are private, and leaderboards and the bot rank Classic
+        // runs only, so every player is on the same curve.
+        if (runner.launch.mode == 'custom') {
+            return;
+        }
+        // Ghost races run a course the player already knows.
+        if (runner.isTelegramEnvironment && runner.difficulty == 'classic' &&
+            !runner.racingGhost) {
+            // DailyRun submits daily attempts.
+            if (runner.launch.mode != 'daily') {
+                TelegramGameAPI.submitScore(event.score, runner.launch);
+            }
+            if (event.isHighScore) {
+                TelegramGameAPI.sendScore(event.score);
+            }
+        }
+        if (event.isHighScore && runner.lastRecording) {
+            TelegramGameAPI.saveBestRun(runner.difficulty, runner.lastRecording);
+        }
+    },
+
+    /**
+     * Follow viewport, safe-area and theme changes.
+     */
+    listenToApp() {
+        const app = TelegramGameAPI.app;
+        const runner = this.runner;
+
+        // Recompute the layout whenever the usable area changes.
+        ['viewportChanged', 'safeAreaChanged', 'contentSafeAreaChanged',
+            'fullscreenChanged'].forEach((eventType) => {
+            app.onEvent(eventType, () => {
+                SafeArea.update();
+                setTimeout(() => {
+                    runner.adjustDimensions();
+                }, 100);
+            });
+        });
+
+        app.onEvent('themeChanged', () => {
+            TelegramGameAPI.applyTheme();
+
+            if (Runner.spriteSheet) {
+                runner.updateSpriteTheme();
+                // Redraw the current frame when nothing is animating.
+                if (!runner.playing) {
+                    runner.adjustDimensions();
+                }
+            }
+        });
+    }
+};
+
+// Score HUD and start message, updated from Runner lifecycle events.
+const Hud = {
+    runner: null,
+
+    /**
+     * @param {Runner} runner
+     */
+    attach(runner) {
+        if (this.runner) return;
+        this.runner = runner;
+
+        const lifecycle = Runner.lifecycle;
+        [lifecycle.SCORE, lifecycle.CRASH, lifecycle.RESTART,
+            lifecycle.PROFILE].forEach((type) => {
+            runner.on(type, () => this.update());
+        });
+        runner.on(lifecycle.CRASH, () => this.showDifficulty());
+
+        // The start message is only shown in desktop browsers.
+        runner.on(lifecycle.START, () => this.hideStartMessage());
+        if (runner.isTelegramEnvironment || window.innerWidth <= 768) {
+            this.hideStartMessage();
+        }
+        this.update();
+    },
+
+    hideStartMessage() {
+        const messageBox = document.getElementById('messageBox');
+        if (messageBox) {
+            messageBox.style.display = 'none';
+        }
+    },
+
+    /**
+     * Name the difficulty of the run on the game over screen.
+     */
+    showDifficulty() {
+        const label = document.getElementById('difficulty-label');
+        if (label) {
+            label.textContent = I18n.t('difficulty.' + this.runner.difficulty);
+        }
+    },
+
+    /**
+     * Update score displays for Telegram UI.
+     */
+    update() {
+        const runner = this.runner;
+        if (!runner.isTelegramEnvironment) return;
+
+        const currentScore = document.getElementById('current-score');
+        const highScore = document.getElementById('high-score');
+
+        if (currentScore) {
+            currentScore.textContent = I18n.formatNumber(runner.getScore());
+        }
+
+        if (highScore) {
+            highScore.textContent = I18n.formatNumber(runner.highestScore);
+        }
+
+        if (runner.launch.mode == 'challenge') {
+            const targetDisplay = document.getElementById('target-display');
+            targetDisplay.hidden = false;
+            targetDisplay.classList.toggle(Runner.classes.CHALLENGE_BEATEN,
+                runner.challengeBeaten);
+            document.getElementById('target-score').textContent =
+                I18n.formatNumber(runner.launch.target);
+        }
+
+        // Distance ahead of (or behind) the ghost of the best run.
+        const ghostDisplay = document.getElementById('ghost-display');
+        ghostDisplay.hidden = !runner.ghost;
+        if (runner.ghost) {
+            const gap = runner.getScore() - runner.ghost.getScore();
+            ghostDisplay.classList.toggle(Runner.classes.GHOST_AHEAD, gap > 0);
+            document.getElementById('ghost-gap').textContent =
+                (gap > 0 ? '+' : '') + I18n.formatNumber(gap);
+        }
+
+        // Power-ups in effect, with the seconds left on each.
+        const powerUpDisplay = document.getElementById('power-up-display');
+        const powerUps = runner.playing ? runner.powerUps.getActive() : [];
+        powerUpDisplay.hidden = !powerUps.length;
+        powerUpDisplay.classList.toggle(Runner.classes.POWER_UP_EXPIRING,
+            powerUps.some((type) => runner.powerUps.isExpiring(type)));
+        document.getElementById('power-up-list').textContent = powerUps.map((type) => {
+            return I18n.t('hud.powerUpTime', {
+                label: runner.powerUps.getLabel(type),
+                seconds: Math.ceil(runner.powerUps.getRemaining(type) / 1000)
+            });
+        }).join(' ');
+    }
+};
+
+// Gameplay analytics. Counts moves per run and records one entry per run and
+// per state change, pushed to window.dataLayer when a tag manager provides it.
+const Analytics = {
+    MAX_EVENTS: 100,
+    runner: null,
+    events: [],
+    run: null,
+
+    /**
+     * @param {Runner} runner
+     */
+    attach(runner) {
+        if (this.runner) return;
+        this.runner = runner;
+
+        Object.keys(Runner.lifecycle).forEach((key) => {
+            const type = Runner.lifecycle[key];
+            if (type != Runner.lifecycle.SCORE) {
+                runner.on(type, (event) => this.track(event));
+            }
+        });
+    },
+
+    /**
+     * @param {Object} event Lifecycle event detail.
+     */
+    track(event) {
+        const lifecycle = Runner.lifecycle;
+
+        switch (event.type) {
+            case lifecycle.START:
+            case lifecycle.RESTART:
+                this.run = {
+                    startedAt: Date.now(), jumps: 0, doubleJumps: 0, ducks: 0, dashes: 0,
+                    milestones: 0, powerUps: 0
+                };
+                this.record(event.type, { score: 0 });
+                break;
+            case lifecycle.JUMP:
+            case lifecycle.DUCK:
+            case lifecycle.MILESTONE:
+                if (this.run) {
+                    this.run[event.type + 's']++;
+                    if (event.doubleJump) {
+                        this.run.doubleJumps++;
+                    }
+                }
+                break;
+            case lifecycle.DASH:
+                if (this.run) {
+                    this.run.dashes++;
+                }
+                break;
+            case lifecycle.POWER_UP:
+                if (this.run) {
+                    this.run.powerUps++;
+                }
+                this.record(event.type, { score: event.score, powerUp: event.powerUp });
+                break;
+            case lifecycle.COIN:
+                // Too frequent to record one by one, counted in run_end.
+                break;
+            case lifecycle.CRASH:
+                this.record('run_end', Object.assign({
+                    score: event.score,
+                    isHighScore: event.isHighScore,
+                    durationMs: this.run ? Date.now() - this.run.startedAt : 0,
+                    // Replays the course with ?seed=, for bug reports.
+                    seed: this.runner.seed,
+                    difficulty: this.runner.difficulty,
+                    coins: event.coins
+                }, this.run && {
+                    jumps: this.run.jumps,
+                    doubleJumps: this.run.doubleJumps,
+                    ducks: this.run.ducks,
+                    dashes: this.run.dashes,
+                    milestones: this.run.milestones,
+                    powerUps: this.run.powerUps
+                }));
+                this.run = null;
+                break;
+            default:
+                this.record(event.type, { score: event.score });
+        }
+    },
+
+    /**
+     * @param {string} name
+     * @param {Object} data
+     */
+    record(name, data) {
+        const entry = Object.assign({
+            event: 'trex_' + name,
+            mode: this.runner.launch.mode,
+            time: Date.now()
+        }, data);
+
+        this.events.push(entry);
+        if (this.events.length > this.MAX_EVENTS) {
+            this.events.shift();
+        }
+        if (Array.isArray(window.dataLayer)) {
+            window.dataLayer.push(entry);
+        }
+    }
+};
+
+// In-game leaderboard overlay, opened from the game over screen.
+const LeaderboardView = {
+    el: null,
+    listEl: null,
+    statusEl: null,
+    scope: 'global',
+    localBest: 0,
+    requestId: 0,
+
+    init() {
+        this.el = document.getElementById('leaderboard');
+        if (!this.el) return;
+
+        this.listEl = this.el.querySelector('.leaderboard-list');
+        this.statusEl = this.el.querySelector('.leaderboard-status');
+
+        this.el.querySelectorAll('[data-scope]').forEach((tab) => {
+            tab.addEventListener('click', () => this.load(tab.dataset.scope));
+        });
+        this.el.querySelector('[data-action="close"]')
+            .addEventListener('click', () => this.close());
+
+        // Per-chat boards only exist when the game was opened from a chat.
+        const app = TelegramGameAPI.app;
+        const chatTab = this.el.querySelector('[data-scope="chat"]');
+        if (chatTab && !(app && app.initDataUnsafe && app.initDataUnsafe.chat_instance)) {
+            chatTab.disabled = true;
+        }
+    },
+
+    /**
+     * @param {number} localBest Player's best score, shown when there is
+     *     no backend to ask.
+     */
+    open(localBest) {
+        if (!this.el) return;
+
+        this.localBest = localBest;
+        this.el.classList.add('open');
+        this.load(this.scope);
+    },
+
+    close() {
+        if (!this.el) return;
+        this.el.classList.remove('open');
+    },
+
+    isOpen() {
+        return !!this.el && this.el.classList.contains('open');
+    },
+
+    /**
+     * @param {string} scope
+     */
+    load(scope) {
+        const requestId = ++this.requestId;
+
+        this.scope = scope;
+        this.el.querySelectorAll('[data-scope]').forEach((tab) => {
+            tab.classList.toggle('active', tab.dataset.scope == scope);
+        });
+        this.listEl.textContent = '';
+        this.statusEl.textContent = I18n.t('leaderboard.loading');
+
+        TelegramGameAPI.fetchLeaderboard(scope).then((result) => {
+            // Ignore responses for a tab that is no longer selected.
+            if (requestId != this.requestId) return;
+            this.render(result);
+        });
+    },
+
+    /**
+     * @param {Object} result Leaderboard response, or null when unavailable.
+     */
+    render(result) {
+        let entries = result ? result.entries : [];
+        const self = result && result.self;
+
+        if (!result) {
+            // Offline: show the player's own best only.
+            const player = TelegramGameAPI.getPlayer() || {};
+            entries = this.localBest ? [{
+                rank: null,
+                score: this.localBest,
+                name: [player.first_name, player.last_name].filter(Boolean).join(' '),
+                photoUrl: player.photo_url,
+                isSelf: true
+            }] : [];
+        }
+
+        this.statusEl.textContent = result ? '' : I18n.t('leaderboard.offline');
+        entries.forEach((entry) => this.listEl.appendChild(this.createRow(entry)));
+
+        // Keep the player's own row visible when they are outside the page.
+        if (self && !entries.some((entry) => entry.isSelf)) {
+            this.listEl.appendChild(this.createRow(self));
+        }
+        if (!entries.length && result) {
+            this.statusEl.textContent = I18n.t('leaderboard.empty');
+        }
+    },
+
+    /**
+     * @param {Object} entry
+     * @return {HTMLElement}
+     */
+    createRow(entry) {
+        const row = document.createElement('li');
+        row.className = 'leaderboard-row' + (entry.isSelf ? ' self' : '');
+
+        const rank = document.createElement('span');
+        rank.className = 'leaderboard-rank';
+        rank.textContent = entry.rank ? I18n.formatNumber(entry.rank) : '–';
+
+        let avatar;
+        if (entry.photoUrl) {
+            avatar = document.createElement('img');
+            avatar.src = entry.photoUrl;
+            avatar.alt = '';
+        } else {
+            avatar = document.createElement('span');
+            avatar.textContent = (entry.name || '?').charAt(0).toUpperCase();
+        }
+        avatar.className = 'leaderboard-avatar';
+
+        const name = document.createElement('span');
+        name.className = 'leaderboard-name';
+        name.textContent = entry.name ||
+            I18n.t(entry.isSelf ? 'leaderboard.you' : 'leaderboard.player');
+
+        const score = document.createElement('span');
+        score.className = 'leaderboard-score';
+        score.textContent = I18n.formatNumber(entry.score);
+
+        row.append(rank, avatar, name, score);
+        return row;
+    }
+};
+
+// Settings overlay, opened from Telegram's SettingsButton or the gear icon.
+const SettingsPanel = {
+    el: null,
+    onChange: null,
+    onOpen: null,
+    onReset: null,
+
+    /**
+     * @param {Object} callbacks
+     *     onChange: Called with the full settings after every change.
+     *     onOpen: Called when the panel opens.
+     *     onReset: Called with the profile after progress is reset.
+     */
+    init(callbacks) {
+        this.el = document.getElementById('settings');
+        if (!this.el) return;
+
+        this.onChange = callbacks.onChange;
+        this.onOpen = callbacks.onOpen;
+        this.onReset = callbacks.onReset;
+
+        this.el.querySelectorAll('[data-setting]').forEach((input) => {
+            input.addEventListener(input.type == 'range' ? 'input' : 'change',
+                () => this.update(input));
+        });
+        this.el.querySelector('[data-action="close"]')
+            .addEventListener('click', () => this.close());
+        this.el.querySelector('[data-action="reset"]')
+            .addEventListener('click', () => this.reset());
+        this.el.querySelector('[data-action="custom"]')
+            .addEventListener('click', () => {
+                this.close();
+                CustomDifficulty.open();
+            });
+
+        const app = TelegramGameAPI.app;
+        const settingsButton = app && app.SettingsButton;
+        const gearButton = document.getElementById('settings-btn');
+
+        if (settingsButton) {
+            settingsButton.onClick(() => this.open());
+            settingsButton.show();
+            document.body.classList.add('has-settings-button');
+        } else if (gearButton) {
+            gearButton.addEventListener('click', () => this.open());
+        }
+    },
+
+    open() {
+        if (!this.el) return;
+
+        this.render(TelegramGameAPI.getUserData().settings);
+        this.el.classList.add('open');
+        if (this.onOpen) {
+            this.onOpen();
+        }
+    },
+
+    close() {
+        if (!this.el) return;
+        this.el.classList.remove('open');
+    },
+
+    /**
+     * Reflect settings in the form controls.
+     * @param {Object} settings
+     */
+    render(settings) {
+        this.el.querySelectorAll('[data-setting]').forEach((input) => {
+            const value = settings[input.dataset.setting];
+
+            if (input.type == 'checkbox') {
+                input.checked = value;
+            } else if (input.type == 'range') {
+                input.value = Math.round(value * 100);
+            } else {
+                input.value = value;
+            }
+        });
+    },
+
+    /**
+     * @param {HTMLInputElement} input The control that changed.
+     */
+    update(input) {
+        const changes = {};
+
+        if (input.type == 'checkbox') {
+            changes[input.dataset.setting] = input.checked;
+        } else if (input.type == 'range') {
+            changes[input.dataset.setting] = Number(input.value) / 100;
+        } else {
+            changes[input.dataset.setting] = input.value;
+        }
+
+        TelegramGameAPI.updateSettings(changes).then((settings) => {
+            if (this.onChange) {
+                this.onChange(settings);
+            }
+        });
+    },
+
+    reset() {
+        Dialogs.confirmReset().then((userData) => {
+            if (userData && this.onReset) {
+                this.onReset(userData);
+            }
+        });
+    }
+};
+
+// Popups and confirmations: Telegram's native popups on clients that have
+// them (Bot API 6.2+), an in-page modal elsewhere.
+const Dialogs = {
+    el: null,
+    pending: null,
+    runner: null,
+
+    init() {
+        this.el = document.getElementById('dialog');
+    },
+
+    /**
+     * @param {Runner} runner
+     */
+    attach(runner) {
+        if (this.runner) return;
+        this.runner = runner;
+        runner.on(Runner.lifecycle.CRASH, (event) => {
+            // Only when a previous best was beaten, not on the first run. The
+            // Daily Run summary covers records in that mode.
+            if (event.isHighScore && runner.recordReached &&
+                runner.launch.mode != 'daily') {
+                this.showRecord(event);
+            }
+        });
+    },
+
+    /**
+     * @return {boolean} Whether Telegram shows the popups.
+     */
+    hasNativePopups() {
+        const app = TelegramGameAPI.app;
+        return !!(app && app.showPopup && app.isVersionAtLeast &&
+            app.isVersionAtLeast('6.2'));
+    },
+
+    /**
+     * Show a popup. Only one can be open at a time.
+     * @param {Object} params As for Telegram.WebApp.showPopup(): title,
+     *     message and up to three buttons {id, type, text}, where type is
+     *     'default', 'ok', 'close', 'cancel' or 'destructive'.
+     * @return {Promise<?string>} Id of the pressed button, or null when the
+     *     popup was dismissed or another one is already open.
+     */
+    popup(params) {
+        if (this.pending) {
+            console.warn('A dialog is already open');
+            return Promise.resolve(null);
+        }
+
+        const shown = this.hasNativePopups() ?
+            new Promise((resolve) => TelegramGameAPI.app.showPopup(params, resolve)) :
+            this.showModal(params);
+        this.pending = shown.then((buttonId) => {
+            this.pending = null;
+            return buttonId || null;
+        });
+        return this.pending;
+    },
+
+    /**
+     * Ask for confirmation with OK and Cancel buttons.
+     * @param {string} message
+     * @return {Promise<boolean>}
+     */
+    confirm(message) {
+        if (!this.hasNativePopups()) {
+            return this.popup({
+                message: message,
+                buttons: [{ id: 'ok', type: 'ok' }, { id: 'cancel', type: 'cancel' }]
+            }).then((buttonId) => buttonId == 'ok');
+        }
+        if (this.pending) {
+            console.warn('A dialog is already open');
+            return Promise.resolve(false);
+        }
+
+        this.pending = new Promise((resolve) => {
+            TelegramGameAPI.app.showConfirm(message, resolve);
+        }).then((confirmed) => {
+            this.pending = null;
+            return !!confirmed;
+        });
+        return this.pending;
+    },
+
+    /**
+     * In-page version of showPopup(), rendered into #dialog.
+     * @param {Object} params
+     * @return {Promise<?string>}
+     */
+    showModal(params) {
+        if (!this.el) {
+            console.warn('Dialog element is missing');
+            return Promise.resolve(null);
+        }
+
+        const titleEl = this.el.querySelector('.dialog-title');
+        const buttonsEl = this.el.querySelector('.dialog-buttons');
+        // Native popups label these types in the client's language.
+        const labels = {
+            ok: I18n.t('dialog.ok'),
+            close: I18n.t('common.close'),
+            cancel: I18n.t('dialog.cancel')
+        };
+
+        titleEl.textContent = params.title || '';
+        titleEl.hidden = !params.title;
+        this.el.querySelector('.dialog-message').textContent = params.message;
+        buttonsEl.textContent = '';
+
+        return new Promise((resolve) => {
+            const close = (buttonId) => {
+                this.el.classList.remove('open');
+                this.el.removeEventListener('click', onBackdropClick);
+                resolve(buttonId);
+            };
+            const onBackdropClick = (event) => {
+                if (event.target == this.el) {
+                    close(null);
+                }
+            };
+
+            (params.buttons || [{ id: 'close', type: 'close' }]).forEach((button) => {
+                const buttonEl = document.createElement('button');
+                buttonEl.type = 'button';
+                buttonEl.className = 'dialog-button ' + (button.type || 'default');
+                buttonEl.textContent = button.text || labels[button.type] || '';
+                buttonEl.addEventListener('click', () => close(button.id));
+                buttonsEl.appendChild(buttonEl);
+            });
+
+            this.el.addEventListener('click', onBackdropClick);
+            this.el.classList.add('open');
+            buttonsEl.firstChild.focus();
+        });
+    },
+
+    /**
+     * "New record!" with Share and Play again.
+     * @param {Object} event Crash event detail.
+     */
+    showRecord(event) {
+        const runner = this.runner;
+
+        this.popup({
+            title: I18n.t('record.title'),
+            message: I18n.t('record.message', { score: event.score }),
+            buttons: [
+                { id: 'share', type: 'default', text: I18n.t('button.share') },
+                { id: 'play', type: 'default', text: I18n.t('button.playAgain') },
+                { id: 'close', type: 'close' }
+            ]
+        }).then((buttonId) => {
+            if (buttonId == 'share') {
+                runner.shareScore();
+            } else if (buttonId == 'play' && runner.crashed) {
+                runner.restart();
+            }
+        });
+    },
+
+    /**
+     * Confirm and wipe the player's scores and history.
+     * @return {Promise<Object>} The reset profile, or null if cancelled.
+     */
+    confirmReset() {
+        return this.popup({
+            title: I18n.t('reset.title'),
+            message: I18n.t('reset.message'),
+            buttons: [
+                { id: 'reset', type: 'destructive', text: I18n.t('reset.confirm') },
+                { id: 'cancel', type: 'cancel' }
+            ]
+        }).then((buttonId) => {
+            return buttonId == 'reset' ? TelegramGameAPI.resetProgress() : null;
+        });
+    }
+};
+
+// Daily Run: every player gets the same course for the UTC calendar day. The
+// first attempt of the day is ranked, later ones are practice, and a summary
+// of the day opens after each attempt.
+const DailyRun = {
+    el: null,
+    runner: null,
+    requestId: 0,
+
+    /**
+     * UTC calendar day.
+     * @param {Date=} opt_date Now by default.
+     * @return {string} E.g. '2026-10-19'.
+     */
+    getDay(opt_date) {
+        return (opt_date || new Date()).toISOString().slice(0, 10);
+    },
+
+    /**
+     * @param {string} day
+     * @return {string} The day before.
+     */
+    getPreviousDay(day) {
+        const date = new Date(day + 'T00:00:00Z');
+        date.setUTCDate(date.getUTCDate() - 1);
+        return this.getDay(date);
+    },
+
+    /**
+     * Launch seed of a day's course.
+     * @param {string} day
+     * @return {string}
+     */
+    getSeed(day) {
+        return 'daily' + day.replace(/-/g, '');
+    },
+
+    /**
+     * @param {Runner} runner
+     */
+    attach(runner) {
+        if (this.runner || runner.launch.mode != 'daily') return;
+        this.runner = runner;
+
+        this.el = document.getElementById('daily-summary');
+        if (this.el) {
+            this.el.querySelector('[data-action="close"]')
+                .addEventListener('click', () => this.close());
+            this.el.querySelector('[data-action="restart"]')
+                .addEventListener('click', () => runner.restart());
+        }
+
+        runner.on(Runner.lifecycle.CRASH, (event) => this.onCrash(event));
+        runner.on(Runner.lifecycle.RESTART, () => this.close());
+    },
+
+    /**
+     * Count the attempt, submit it and show the day's summary.
+     * @param {Object} event Crash event detail.
+     */
+    onCrash(event) {
+        const runner = this.runner;
+        const day = runner.launch.day;
+
+        TelegramGameAPI.saveDailyAttempt(day, event.score).then((result) => {
+            const submitted = runner.isTelegramEnvironment ?
+                TelegramGameAPI.submitScore(event.score, runner.launch) :
+                Promise.resolve(null);
+
+            this.open(result);
+            const requestId = ++this.requestId;
+            return submitted.then(() => TelegramGameAPI.fetchLeaderboard('daily', day))
+                .then((leaderboard) => {
+                    if (requestId == this.requestId) {
+                        this.showRank(leaderboard && leaderboard.self);
+                    }
+                });
+        }).catch((error) => {
+            console.warn('Failed to record daily run:', error);
+        });
+    },
+
+    /**
+     * @param {{ranked: boolean, daily: Object}} result
+     */
+    open(result) {
+        if (!this.el) return;
+
+        const daily = result.daily;
+        const setStat = (name, value) => {
+            this.el.querySelector('[data-stat="' + name + '"]').textContent = value;
+        };
+
+        this.el.querySelector('.daily-status').textContent =
+            I18n.t(result.ranked ? 'daily.ranked' : 'daily.practice');
+        setStat('score', I18n.formatNumber(daily.score));
+        setStat('streak', I18n.t('daily.streakDays', { count: daily.streak }));
+        setStat('best', I18n.formatNumber(daily.bestScore));
+        this.showRank(null);
+        this.el.classList.add('open');
+    },
+
+    close() {
+        if (!this.el) return;
+        this.requestId++;
+        this.el.classList.remove('open');
+    },
+
+    /**
+     * @param {Object} self The player's row of the daily leaderboard, or null
+     *     when there is no backend or no ranked run yet.
+     */
+    showRank(self) {
+        if (!this.el) return;
+        this.el.querySelector('[data-stat="rank"]').textContent =
+            self ? '#' + I18n.formatNumber(self.rank) : '—';
+    }
+};
+
+// Custom difficulty builder. Players tune the speed curve and obstacle gaps
+// and send the result as a private game link. Custom games are not ranked and
+// keep no best score. The difficulty travels in the link as a code of
+// letter-prefixed integers, e.g. "s60a10m130g6p85" for Classic.
+const CustomDifficulty = {
+    /**
+     * Fields of the code: its letter, the path of the config value it sets,
+     * the factor the value is stored multiplied by, and the range of the
+     * stored integer.
+     * @const
+     */
+    FIELDS: [
+        { key: 's', path: ['SPEED'], scale: 10, min: 30, max: 120 },
+        { key: 'a', path: ['ACCELERATION'], scale: 10000, min: 0, max: 40 },
+        { key: 'm', path: ['MAX_SPEED'], scale: 10, min: 60, max: 200 },
+        { key: 'g', path: ['GAP_COEFFICIENT'], scale: 10, min: 3, max: 15 },
+        { key: 'p', path: ['OBSTACLE_SPEEDS', 'PTERODACTYL', 'minSpeed'], scale: 10,
+            min: 0, max: 200 }
+    ],
+    el: null,
+
+    init() {
+        this.el = document.getElementById('custom-game');
+        if (!this.el) return;
+
+        this.FIELDS.forEach((field) => {
+            const input = this.getInput(field);
+            input.min = field.min;
+            input.max = field.max;
+            input.step = 1;
+            input.addEventListener('input', () => this.showValue(field));
+        });
+        this.el.querySelector('[data-action="close"]')
+            .addEventListener('click', () => this.close());
+        this.el.querySelector('[data-action="play"]')
+            .addEventListener('click', () => this.play());
+        this.el.querySelector('[data-action="share"]')
+            .addEventListener('click', () => this.share());
+    },
+
+    /**
+     * @param {Object} config Runner config holding a difficulty.
+     * @return {string}
+     */
+    encode(config) {
+        return this.FIELDS.map((field) => field.key + this.getStored(config, field)).join('');
+    },
+
+    /**
+     * @param {Object} config Runner config holding a difficulty.
+     * @param {Object} field One of FIELDS.
+     * @return {number} The field's value as stored in a code.
+     */
+    getStored(config, field) {
+        const value = field.path.reduce((object, key) => object[key], config);
+        return Math.round(value * field.scale);
+    },
+
+    /**
+     * @param {string} code
+     * @return {Object} Runner config values of the difficulty, Classic with
+     *     the coded fields replaced, or null when the code is malformed or
+     *     out of range.
+     */
+    decode(code) {
+        const values = {};
+        const rest = code.replace(/([a-z])(\d{1,6})/g, (match, key, value) => {
+            values[key] = Number(value);
+            return '';
+        });
+        const config = JSON.parse(JSON.stringify(Runner.difficulties.classic));
+
+        const valid = !rest && this.FIELDS.every((field) => {
+            const value = values[field.key];
+            if (!(value >= field.min && value <= field.max)) {
+                return false;
+            }
+            const last = field.path.length - 1;
+            field.path.slice(0, last).reduce((object, key) => object[key], config)[
+                field.path[last]] = value / field.scale;
+            return true;
+        });
+        if (!valid) {
+            console.warn('Invalid custom difficulty:', code);
+        }
+        return valid ? config : null;
+    },
+
+    /**
+     * Link that opens a private game: the Mini App's direct link when one is
+     * set with ?app= or <meta name="trex-app-link">, this page otherwise.
+     * @param {string} code
+     * @return {string}
+     */
+    getLink(code) {
+        const appLink = TelegramGameAPI.getLaunchOption('app', 'trex-app-link');
+        if (appLink) {
+            return appLink + '?startapp=custom_difficulty-' + code;
+        }
+
+        // Keep page options such as ?api=, drop those of the current launch.
+        const query = new URLSearchParams(window.location.search);
+        ['seed', 'target', 'ref'].forEach((name) => query.delete(name));
+        query.set('mode', 'custom');
+        query.set('difficulty', code);
+        return window.location.origin + window.location.pathname + '?' + query;
+    },
+
+    /**
+     * Open the builder on the difficulty being played.
+     */
+    open() {
+        if (!this.el) return;
+
+        const runner = Runner.instance_;
+        this.render(runner.difficulty == 'custom' ? runner.launch.custom :
+            Runner.difficulties[runner.difficulty]);
+        this.el.classList.add('open');
+    },
+
+    close() {
+        if (!this.el) return;
+        this.el.classList.remove('open');
+    },
+
+    /**
+     * @param {Object} config Runner config holding a difficulty.
+     */
+    render(config) {
+        this.FIELDS.forEach((field) => {
+            this.getInput(field).value = this.getStored(config, field);
+            this.showValue(field);
+        });
+    },
+
+    /**
+     * @param {Object} field One of FIELDS.
+     * @return {HTMLInputElement}
+     */
+    getInput(field) {
+        return this.el.querySelector('[data-field="' + field.key + '"]');
+    },
+
+    /**
+     * Show a field's value next to its slider, in tenths of the stored
+     * integer, so Classic reads 6, 1, 13, 0.6 and 8.5.
+     * @param {Object} field One of FIELDS.
+     */
+    showValue(field) {
+        this.el.querySelector('[data-value="' + field.key + '"]').textContent =
+            I18n.formatNumber(Number(this.getInput(field).value) / 10);
+    },
+
+    /**
+     * @return {string} Code of the difficulty set in the builder.
+     */
+    getCode() {
+        return this.FIELDS.map((field) => field.key + this.getInput(field).value).join('');
+    },
+
+    /**
+     * Start a private game on the difficulty set in the builder.
+     */
+    play() {
+        const app = TelegramGameAPI.app;
+        const link = this.getLink(this.getCode());
+
+        if (app && app.openTelegramLink && /^https:\/\/t\.me\//.test(link)) {
+            app.openTelegramLink(link);
+        } else {
+            window.location.assign(link);
+        }
+    },
+
+    /**
+     * Send the private game link with Telegram's share sheet, the Web Share
+     * API or the clipboard.
+     * @return {Promise<string>} The method used, or null.
+     */
+    share() {
+        const app = TelegramGameAPI.app;
+        const link = this.getLink(this.getCode());
+        const text = I18n.t('custom.shareText');
+
+        if (app && app.openTelegramLink) {
+            app.openTelegramLink('https://t.me/share/url?url=' +
+                encodeURIComponent(link) + '&text=' + encodeURIComponent(text));
+            return Promise.resolve('telegram');
+        }
+        if (navigator.share) {
+            return navigator.share({ url: link, text: text }).then(() => 'native', () => null);
+        }
+        if (navigator.clipboard) {
+            return navigator.clipboard.writeText(link).then(() => {
+                Dialogs.popup({
+                    title: I18n.t('custom.title'),
+                    message: I18n.t('custom.copied'),
+                    buttons: [{ id: 'ok', type: 'ok' }]
+                });
+                return 'clipboard';
+            }, () => null);
+        }
+        return Promise.resolve(null);
+    }
+};
+
+// Replays of recorded runs. The Runner logs each run as its seed and config,
+// its length in fixed ticks and the jump and duck input with the tick it came
+// before, and runs the ticks back through Runner#tick to repeat the run
+// exactly. Recordings export as JSON, so players can send in a run that went
+// wrong.
+const ReplayPlayer = {
+    SPEEDS: [1, 2],
+
+    /**
+     * Most real time in ms played per animation frame, so the replay does
+     * not leap ahead after the page was hidden.
+     * @const
+     */
+    MAX_TICK_MS: 100,
+
+    el: null,
+    runner: null,
+    recording: null,
+    // Recorded ticks run so far.
+    steps: 0,
+    eventIndex: 0,
+    clock: 0,
+    speed: 1,
+    playing: false,
+    rafId: 0,
+    lastTick: 0,
+
+    /**
+     * @param {Runner} runner
+     */
+    attach(runner) {
+        if (this.runner) return;
+        this.runner = runner;
+
+        const openButton = document.getElementById('replay-btn');
+        if (openButton) {
+            openButton.addEventListener('click', () => this.open(runner.lastRecording));
+        }
+
+        this.el = document.getElementById('replay-controls');
+        if (!this.el) return;
+
+        const bind = (action, handler) => {
+            this.el.querySelector('[data-action="' + action + '"]')
+                .addEventListener('click', handler);
+        };
+        bind('toggle', () => (this.playing ? this.pause() : this.play()));
+        bind('speed', () => {
+            this.speed = this.SPEEDS[(this.SPEEDS.indexOf(this.speed) + 1) % this.SPEEDS.length];
+            this.render();
+        });
+        bind('export', () => this.export());
+        bind('close', () => this.close());
+
+        this.el.querySelector('.replay-seek').addEventListener('input', (event) => {
+            const steps = Number(event.target.value);
+            this.pause();
+            this.seek(steps);
+        });
+    },
+
+    /**
+     * Check a recording, e.g. one read from a file a player sent in.
+     * @param {*} recording
+     * @return {boolean}
+     */
+    isValid(recording) {
+        const events = Object.values(Runner.recordedEvents);
+
+        return !!recording && recording.version == Runner.RECORDING_VERSION &&
+            Number.isInteger(recording.seed) &&
+            Number.isFinite(recording.width) && recording.width > 0 &&
+            Number.isFinite(recording.startX) &&
+            !!recording.config && typeof recording.config == 'object' &&
+            Number.isInteger(recording.steps) && recording.steps >= 0 &&
+            Array.isArray(recording.events) &&
+            recording.events.every((event) => Array.isArray(event) &&
+                Number.isInteger(event[0]) && events.indexOf(event[1]) != -1);
+    },
+
+    /**
+     * Bring an older recording up to the current format. Version 2 logged
+     * the time of every frame too, and each event with the frames run
+     * before it; the ticks alone repeat the run.
+     * @param {*} recording
+     * @return {*} The recording in the current format, or as it was.
+     */
+    upgrade(recording) {
+        if (!recording || recording.version != 2 || !Array.isArray(recording.events)) {
+            return recording;
+        }
+        const upgraded = Object.assign({}, recording, {
+            version: Runner.RECORDING_VERSION,
+            events: recording.events.map((event) =>
+                (Array.isArray(event) ? event.slice(1) : event))
+        });
+        delete upgraded.frames;
+        delete upgraded.time;
+        return upgraded;
     },
-    
-    applyTheme() {
-        if (!this.app) return;
-        
-        const theme = this.app.themeParams;
-        const root = document.documentElement;
-        
-        // Apply theme colors with fallbacks
-        if (theme.bg_color) {
-            document.body.style.backgroundColor = theme.bg_color;
-            root.style.setProperty('--tg-bg-color', theme.bg_color);
+
+    /**
+     * Play an exported recording.
+     * @param {string} json
+     * @return {boolean} Whether the replay opened.
+     */
+    load(json) {
+        try {
+            return this.open(JSON.parse(json));
+        } catch (error) {
+            console.warn('Failed to read recording:', error);
+            return false;
         }
-        if (theme.text_color) {
-            root.style.setProperty('--tg-text-color', theme.text_color);
+    },
+
+    /**
+     * Play a recording from its start. Only opens between runs.
+     * @param {Object} recording
+     * @return {boolean} Whether the replay opened.
+     */
+    open(recording) {
+        const runner = this.runner;
+        if (!runner || !runner.tRex) return false;
+        recording = this.upgrade(recording);
+        if (!this.isValid(recording)) {
+            console.warn('Invalid recording');
+            return false;
         }
-        if (theme.button_color) {
-            root.style.setProperty('--tg-button-color', theme.button_color);
+        if (!runner.replay && !runner.crashed && (runner.playing || runner.paused)) {
+            return false;
         }
-        if (theme.button_text_color) {
-            root.style.setProperty('--tg-button-text-color', theme.button_text_color);
+
+        this.pause();
+        this.recording = recording;
+        this.speed = 1;
+        this.rewind();
+
+        document.body.classList.add('replaying');
+        if (this.el) {
+            this.el.querySelector('.replay-seek').max = recording.steps;
+            this.el.classList.add('open');
         }
-        if (theme.secondary_bg_color) {
-            root.style.setProperty('--tg-secondary-bg-color', theme.secondary_bg_color);
+        this.play();
+        return true;
+    },
+
+    /**
+     * Leave the replay for the game over screen.
+     */
+    close() {
+        if (!this.recording) return;
+
+        this.pause();
+        this.recording = null;
+        document.body.classList.remove('replaying');
+        if (this.el) {
+            this.el.classList.remove('open');
         }
-        
-        // Set status bar style
-        root.style.setProperty('--tg-color-scheme', this.app.colorScheme);
+        this.runner.endReplay();
     },
-    
-    setupMainButton() {
-        // Disable main button to avoid duplication with game's own restart
-        if (!this.mainButton) return;
-        this.mainButton.hide();
+
+    play() {
+        if (!this.recording || this.playing) return;
+
+        if (this.isAtEnd()) {
+            this.seek(0);
+        }
+        this.playing = true;
+        this.lastTick = 0;
+        this.rafId = requestAnimationFrame((now) => this.tick(now));
+        this.render();
     },
-    
-    setupBackButton() {
-        if (!this.app.BackButton) return;
-        
-        this.app.BackButton.onClick(() => {
-            this.app.close();
-        });
+
+    pause() {
+        this.playing = false;
+        cancelAnimationFrame(this.rafId);
+        this.rafId = 0;
+        this.render();
     },
-    
-    showMainButton(text = '🔄 Restart Game') {
-        // Disabled to avoid duplication
-        return;
+
+    /**
+     * Run the recorded ticks that fit into the time since the last animation
+     * frame, then draw.
+     * @param {number} now
+     */
+    tick(now) {
+        if (!this.playing) return;
+
+        const msPerTick = this.runner.msPerFrame;
+        const elapsed = this.lastTick ? Math.min(now - this.lastTick, this.MAX_TICK_MS) : 0;
+        this.lastTick = now;
+        this.clock += elapsed * this.speed;
+
+        while (!this.isAtEnd() && (this.steps + 1) * msPerTick <= this.clock) {
+            this.step();
+        }
+        if (this.isAtEnd()) {
+            this.pause();
+            return;
+        }
+        this.runner.drawReplay(Math.min(1, (this.clock - this.steps * msPerTick) / msPerTick));
+        this.render();
+        this.rafId = requestAnimationFrame((time) => this.tick(time));
     },
-    
-    hideMainButton() {
-        if (!this.mainButton) return;
-        this.mainButton.hide();
+
+    /**
+     * @return {boolean} Whether the replay has run all ticks or crashed.
+     */
+    isAtEnd() {
+        return this.steps >= this.recording.steps || this.runner.crashed;
     },
-    
-    // Enhanced haptic feedback
-    vibrate(type = 'light') {
-        if (!this.hapticFeedback) {
-            // Fallback to native vibration
-            if (navigator.vibrate) {
-                const patterns = {
-                    light: [50],
-                    medium: [100],
-                    heavy: [200],
-                    error: [100, 50, 100],
-                    success: [50, 50, 50]
-                };
-                navigator.vibrate(patterns[type] || patterns.light);
-            }
-            return;
+
+    /**
+     * Apply the input recorded before the next tick, then run it.
+     */
+    step() {
+        const events = this.recording.events;
+
+        while (this.eventIndex < events.length && events[this.eventIndex][0] <= this.steps) {
+            this.runner.applyRecordedEvent(events[this.eventIndex][1]);
+            this.eventIndex++;
         }
-        
-        switch (type) {
-            case 'light':
-                this.hapticFeedback.impactOccurred('light');
-                break;
-            case 'medium':
-                this.hapticFeedback.impactOccurred('medium');
-                break;
-            case 'heavy':
-            case 'error':
-                this.hapticFeedback.impactOccurred('heavy');
-                break;
-            case 'success':
-                this.hapticFeedback.notificationOccurred('success');
-                break;
-            case 'warning':
-                this.hapticFeedback.notificationOccurred('warning');
-                break;
-            default:
-                this.hapticFeedback.impactOccurred('light');
+        this.runner.stepReplay();
+        this.steps++;
+    },
+
+    rewind() {
+        this.runner.loadReplay(this.recording);
+        this.steps = 0;
+        this.eventIndex = 0;
+        this.clock = 0;
+    },
+
+    /**
+     * Move to a tick. Going back replays from the start.
+     * @param {number} steps
+     */
+    seek(steps) {
+        if (!this.recording) return;
+
+        const target = Math.max(0, Math.min(this.recording.steps, steps));
+        if (target < this.steps) {
+            this.rewind();
+        }
+        while (this.steps < target && !this.runner.crashed) {
+            this.step();
         }
+        this.clock = this.steps * this.runner.msPerFrame;
+        this.runner.drawReplay();
+        this.render();
     },
-    
-    // User data management
-    saveScore(score, isHighScore = false) {
-        if (!this.app) return;
-        
-        try {
-            const userData = this.getUserData();
-            userData.lastScore = score;
-            userData.gamesPlayed = (userData.gamesPlayed || 0) + 1;
-            
-            if (isHighScore) {
-                userData.highScore = score;
-                userData.highScoreDate = new Date().toISOString();
-            }
-            
-            // Save to Telegram cloud storage
-            if (this.app.CloudStorage) {
-                this.app.CloudStorage.setItem('gameData', JSON.stringify(userData));
-            }
-            
-            // Also save to localStorage as fallback
-            localStorage.setItem('trex_telegram_data', JSON.stringify(userData));
-        } catch (error) {
-            console.warn('Failed to save score:', error);
+
+    render() {
+        if (!this.el || !this.recording) return;
+
+        const toggle = this.el.querySelector('[data-action="toggle"]');
+        toggle.textContent = this.playing ? '⏸' : '▶️';
+        toggle.setAttribute('aria-label', I18n.t(this.playing ? 'replay.pause' : 'replay.play'));
+        this.el.querySelector('[data-action="speed"]').textContent = this.speed + '×';
+        this.el.querySelector('.replay-seek').value = this.steps;
+
+        const seconds = (ms) => Math.round(ms / 100) / 10;
+        this.el.querySelector('.replay-time').textContent = I18n.t('replay.time', {
+            time: seconds(this.clock),
+            total: seconds(this.recording.steps * this.runner.msPerFrame)
+        });
+    },
+
+    /**
+     * Share the recording as a JSON file, or download it.
+     * @return {Promise<string>} The method used.
+     */
+    export() {
+        if (!this.recording) {
+            return Promise.resolve(null);
+        }
+
+        const name = 'trex-run-' + this.recording.seed + '.json';
+        const blob = new Blob([JSON.stringify(this.recording)], { type: 'application/json' });
+        const file = new File([blob], name, { type: 'application/json' });
+
+        if (navigator.canShare && navigator.canShare({ files: [file] })) {
+            return navigator.share({ files: [file] }).then(() => 'native', (error) => {
+                console.warn('Failed to share recording:', error);
+                return null;
+            });
+        }
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = name;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        return Promise.resolve('download');
+    }
+};
+
+// Score card rendered from the crash frame, shared after game over.
+const ScoreCard = {
+    WIDTH: 600,
+    HEIGHT: 315,
+    PADDING: 24,
+    FONT: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif",
+    FILE_NAME: 't-rex-score.png',
+
+    /**
+     * Draw the card.
+     * @param {HTMLCanvasElement} gameCanvas Canvas holding the crash frame.
+     * @param {Object} stats score, best and playerName.
+     * @return {HTMLCanvasElement}
+     */
+    render(gameCanvas, stats) {
+        const colors = TelegramGameAPI.getThemeColors();
+        const card = document.createElement('canvas');
+        const ctx = card.getContext('2d');
+        const padding = this.PADDING;
+
+        card.width = this.WIDTH;
+        card.height = this.HEIGHT;
+
+        ctx.fillStyle = colors.bg;
+        ctx.fillRect(0, 0, card.width, card.height);
+
+        // Crash frame, scaled to the card width.
+        const frameWidth = card.width - padding * 2;
+        const frameHeight = Math.round(frameWidth * gameCanvas.height / gameCanvas.width);
+        ctx.fillStyle = colors.secondaryBg;
+        ctx.fillRect(padding, padding, frameWidth, frameHeight);
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(gameCanvas, 0, 0, gameCanvas.width, gameCanvas.height,
+            padding, padding, frameWidth, frameHeight);
+
+        const textTop = padding * 2 + frameHeight;
+
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = colors.text;
+        ctx.font = 'bold 28px ' + this.FONT;
+        const scoreText = I18n.formatNumber(stats.score);
+        ctx.fillText(scoreText, padding, textTop);
+
+        const scoreWidth = ctx.measureText(scoreText).width;
+        ctx.fillStyle = colors.hint;
+        ctx.font = '16px ' + this.FONT;
+        ctx.fillText(I18n.t('card.points', { count: stats.score }),
+            padding + scoreWidth + 8, textTop + 10);
+        ctx.fillText(I18n.t('card.best', { best: stats.best }), padding, textTop + 40);
+
+        if (stats.playerName) {
+            ctx.textAlign = 'right';
+            ctx.fillStyle = colors.text;
+            ctx.font = 'bold 20px ' + this.FONT;
+            ctx.fillText(stats.playerName, card.width - padding, textTop + 4);
         }
+
+        // Accent strip in the Telegram button colour.
+        ctx.fillStyle = colors.button;
+        ctx.fillRect(0, card.height - 6, card.width, 6);
+
+        return card;
     },
-    
-    getUserData() {
-        try {
-            // Try Telegram cloud storage first
-            if (this.app && this.app.CloudStorage) {
-                const cloudData = this.app.CloudStorage.getItem('gameData');
-                if (cloudData) {
-                    return JSON.parse(cloudData);
-                }
+
+    /**
+     * @param {Object} stats
+     * @return {string}
+     */
+    getShareText(stats) {
+        return I18n.t('share.text', { count: stats.score, best: stats.best });
+    },
+
+    /**
+     * Share the card with the best method available: a Telegram story or
+     * inline query, the Web Share API, the clipboard or a download.
+     * @param {HTMLCanvasElement} gameCanvas
+     * @param {Object} stats
+     * @return {Promise<string>} The method used.
+     */
+    share(gameCanvas, stats) {
+        const app = TelegramGameAPI.app;
+        const card = this.render(gameCanvas, stats);
+        const text = this.getShareText(stats);
+
+        if (app && app.shareToStory) {
+            return TelegramGameAPI.uploadScoreCard(card.toDataURL('image/png'))
+                .then((url) => {
+                    if (url) {
+                        app.shareToStory(url, { text: text });
+                        return 'story';
+                    }
+                    return this.shareFallback(card, text);
+                });
+        }
+        return this.shareFallback(card, text);
+    },
+
+    /**
+     * @param {HTMLCanvasElement} card
+     * @param {string} text
+     * @return {Promise<string>}
+     */
+    shareFallback(card, text) {
+        const app = TelegramGameAPI.app;
+
+        if (app && app.switchInlineQuery) {
+            try {
+                app.switchInlineQuery(text, ['users', 'groups', 'channels']);
+                return Promise.resolve('inline');
+            } catch (error) {
+                // Inline mode is disabled for the bot, fall through.
+                console.warn('switchInlineQuery failed:', error);
             }
-            
-            // Fallback to localStorage
-            const localData = localStorage.getItem('trex_telegram_data');
-            return localData ? JSON.parse(localData) : {
-                highScore: 0,
-                gamesPlayed: 0,
-                lastScore: 0,
-                settings: {
-                    soundEnabled: true,
-                    hapticEnabled: true
-                }
-            };
-        } catch (error) {
-            console.warn('Failed to load user data:', error);
-            return { highScore: 0, gamesPlayed: 0, lastScore: 0 };
         }
+
+        return this.toBlob(card).then((blob) => {
+            const file = new File([blob], this.FILE_NAME, { type: 'image/png' });
+
+            if (navigator.canShare && navigator.canShare({ files: [file] })) {
+                return navigator.share({ files: [file], text: text }).then(() => 'native');
+            }
+            if (navigator.clipboard && window.ClipboardItem) {
+                return navigator.clipboard.write([new ClipboardItem({ 'image/png': blob })])
+                    .then(() => 'clipboard', () => this.download(blob));
+            }
+            return this.download(blob);
+        });
     },
-    
-    // Send data to bot (if needed)
-    sendScore(score) {
-        if (!this.app) return;
-        
-        const data = {
-            score: score,
-            timestamp: Date.now(),
-            platform: 'telegram_webapp'
-        };
-        
-        try {
-            this.app.sendData(JSON.stringify(data));
-        } catch (error) {
-            console.warn('Failed to send score to bot:', error);
+
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @return {Promise<Blob>}
+     */
+    toBlob(canvas) {
+        return new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+    },
+
+    /**
+     * @param {Blob} blob
+     * @return {string}
+     */
+    download(blob) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = this.FILE_NAME;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        return 'download';
+    }
+};
+
+// Safe-area layout. The insets are published as --safe-top/right/bottom/left
+// CSS variables: Telegram's values where the client reports them, CSS env()
+// insets otherwise (see :root in index.css).
+const SafeArea = {
+    SIDES: ['top', 'right', 'bottom', 'left'],
+    probe: null,
+
+    /**
+     * Publish the current Telegram insets, or fall back to env().
+     */
+    update() {
+        const root = document.documentElement;
+        const insets = TelegramGameAPI.getSafeAreaInsets();
+
+        this.SIDES.forEach((side) => {
+            if (insets) {
+                root.style.setProperty('--safe-' + side, insets[side] + 'px');
+            } else {
+                root.style.removeProperty('--safe-' + side);
+            }
+        });
+    },
+
+    /**
+     * Resolve the CSS variables to pixels through a hidden element padded by
+     * them, so the env() fallback is measured too.
+     * @return {{top: number, right: number, bottom: number, left: number}}
+     */
+    getInsets() {
+        if (!this.probe) {
+            this.probe = document.createElement('div');
+            this.probe.className = 'safe-area-probe';
+            document.body.appendChild(this.probe);
         }
+
+        const style = window.getComputedStyle(this.probe);
+        return {
+            top: parseFloat(style.paddingTop) || 0,
+            right: parseFloat(style.paddingRight) || 0,
+            bottom: parseFloat(style.paddingBottom) || 0,
+            left: parseFloat(style.paddingLeft) || 0
+        };
     }
 };
 
@@ -248,10 +3544,11 @@ const PerformanceManager = {
      * T-Rex runner with enhanced Telegram WebApp integration.
      * @param {string} outerContainerId Outer containing element id.
      * @param {Object} opt_config
+     * @param {Object} opt_launch Launch descriptor from LaunchRouter.
      * @constructor
      * @export
      */
-    function Runner(outerContainerId, opt_config) {
+    function Runner(outerContainerId, opt_config, opt_launch) {
         // Singleton
         if (Runner.instance_) {
             return Runner.instance_;
@@ -271,13 +3568,15 @@ const PerformanceManager = {
         this.snackbarEl = null;
         this.detailsButton = this.outerContainerEl.querySelector('#details-button');
 
-        this.config = opt_config || Runner.config;
-        
-        // Apply performance optimizations for low-end devices
-        if (this.isLowEndDevice) {
-            this.config.MAX_SPEED = Math.min(this.config.MAX_SPEED, 10);
-            this.config.ACCELERATION = this.config.ACCELERATION * 0.8;
-        }
+        // A copy, as difficulties are applied to it.
+        this.config = Object.assign({}, opt_config || Runner.config);
+        this.launch = opt_launch || LaunchRouter.getLaunch();
+        this.challengeBeaten = false;
+
+        // Difficulty in play, and the preset picked in the settings, which
+        // launches with their own difficulty override.
+        this.difficulty = 'classic';
+        this.preferredDifficulty = 'classic';
 
         this.dimensions = Runner.defaultDimensions;
 
@@ -288,18 +3587,20 @@ const PerformanceManager = {
 
         this.distanceMeter = null;
         this.distanceRan = 0;
+        // Points scored on top of the distance, with the score multiplier.
+        this.bonusScore = 0;
+        // Coins picked up in the run.
+        this.coins = 0;
+        this.powerUps = new PowerUpEffects();
 
         this.highestScore = 0;
-        
-        // Load saved high score from Telegram cloud storage
-        if (this.isTelegramEnvironment) {
-            const userData = this.telegramAPI.getUserData();
-            this.highestScore = userData.highScore || 0;
-        }
 
         this.time = 0;
         this.runningTime = 0;
         this.msPerFrame = 1000 / FPS;
+        // Frame time not simulated yet. The game runs in ticks of msPerFrame
+        // whatever the display's refresh rate.
+        this.accumulator = 0;
         this.currentSpeed = this.config.SPEED;
 
         this.obstacles = [];
@@ -318,6 +3619,7 @@ const PerformanceManager = {
         this.touchController = null;
         this.jumpButton = null;
         this.duckButton = null;
+        this.dashButton = null;
         this.scoreDisplay = null;
         this.highScoreDisplay = null;
 
@@ -325,12 +3627,8 @@ const PerformanceManager = {
         this.audioBuffer = null;
         this.soundFx = {};
         this.soundEnabled = true;
-        
-        // Load sound preference from user data
-        if (this.isTelegramEnvironment) {
-            const userData = this.telegramAPI.getUserData();
-            this.soundEnabled = userData.settings?.soundEnabled !== false;
-        }
+        this.soundVolume = 1;
+        this.reducedMotion = false;
 
         // Global web audio context for playing sounds.
         this.audioContext = null;
@@ -338,6 +3636,33 @@ const PerformanceManager = {
         // Images.
         this.images = {};
         this.imagesLoaded = 0;
+
+        // Lifecycle event listeners, keyed by event type.
+        this.listeners = {};
+        this.lastScore = 0;
+        this.recordReached = false;
+
+        // Input log of the run in progress and of the last finished one.
+        this.recording = null;
+        this.lastRecording = null;
+        // State kept aside while ReplayPlayer drives the game.
+        this.replay = null;
+        // Best run on this device on each difficulty preset, raced as a ghost
+        // in a ghost race, and on the same course when the setting is on.
+        this.ghostEnabled = false;
+        this.bestRecordings = this.telegramAPI.loadBestRuns();
+        this.ghost = null;
+        // Whether the current or last run is a ghost race, see raceGhost().
+        this.racingGhost = false;
+
+        // Separate random streams for the obstacle course, the scenery and
+        // pickups (power-ups and coins), so neither of the others can change
+        // the course a seed produces.
+        this.seed = 0;
+        this.courseRandom = new Random(0);
+        this.sceneryRandom = new Random(0);
+        this.pickupRandom = new Random(0);
+        this.seedRandom();
         
         // Error handling
         this.setupErrorHandling();
@@ -347,11 +3672,14 @@ const PerformanceManager = {
         } else {
             this.loadImages();
         }
-        
-        // Setup Telegram-specific event listeners
-        if (this.isTelegramEnvironment) {
-            this.setupTelegramIntegration();
-        }
+
+
+        // The high score and preferences are shown once the saved profile
+        // has been read from CloudStorage / localStorage.
+        this.userDataLoaded = false;
+        this.telegramAPI.loadUserData()
+            .then((userData) => this.applyUserData(userData))
+            .catch((error) => console.warn('Failed to load user data:', error));
     }
     window['Runner'] = Runner;
 
@@ -386,10 +3714,13 @@ const PerformanceManager = {
      */
     Runner.config = {
         ACCELERATION: 0.001,
+        AIR_DASH: false,
         BG_CLOUD_SPEED: 0.2,
         BOTTOM_PAD: 10,
         CLEAR_TIME: 3000,
         CLOUD_FREQUENCY: 0.5,
+        COIN_FREQUENCY: 0,
+        DOUBLE_JUMP: false,
         GAMEOVER_CLEAR_TIME: 750,
         GAP_COEFFICIENT: 0.6,
         GRAVITY: 0.6,
@@ -399,10 +3730,13 @@ const PerformanceManager = {
         MAX_BLINK_COUNT: 3,
         MAX_CLOUDS: 6,
         MAX_OBSTACLE_LENGTH: 3,
+        MAX_FRAME_TIME: 250,
         MAX_OBSTACLE_DUPLICATION: 2,
         MAX_SPEED: 13,
         MIN_JUMP_HEIGHT: 35,
         MOBILE_SPEED_COEFFICIENT: 1.2,
+        NEAR_MISS_MARGIN: 8,
+        POWER_UP_FREQUENCY: 0,
         RESOURCE_TEMPLATE_ID: 'audio-resources',
         SPEED: 6,
         SPEED_DROP_COEFFICIENT: 3,
@@ -411,6 +3745,81 @@ const PerformanceManager = {
     };
 
 
+    /**
+     * Difficulty presets, applied over the config. Each sets the speed
+     * curve, the obstacle gaps and, per obstacle type, the speed from which
+     * it appears (minSpeed) and comes in groups (multipleSpeed), and the
+     * chances of a power-up and of coins with each obstacle, and the
+     * T-rex abilities on offer (see Trex#startDoubleJump and
+     * Trex#startDash). Classic is the original game of Runner.config and
+     * Obstacle.types. Leaderboards rank it, so it has no power-ups to
+     * shield crashes or multiply the score; its coins only fill the wallet.
+     * @enum {Object}
+     */
+    Runner.difficulties = {
+        easy: {
+            SPEED: 5,
+            ACCELERATION: 0.0007,
+            MAX_SPEED: 10,
+            GAP_COEFFICIENT: 0.8,
+            POWER_UP_FREQUENCY: 0.3,
+            COIN_FREQUENCY: 0.4,
+            DOUBLE_JUMP: true,
+            AIR_DASH: false,
+            OBSTACLE_SPEEDS: {
+                CACTUS_SMALL: { minSpeed: 0, multipleSpeed: 5 },
+                CACTUS_LARGE: { minSpeed: 0, multipleSpeed: 9 },
+                PTERODACTYL: { minSpeed: 9.5, multipleSpeed: 999 }
+            }
+        },
+        classic: {
+            SPEED: 6,
+            ACCELERATION: 0.001,
+            MAX_SPEED: 13,
+            GAP_COEFFICIENT: 0.6,
+            POWER_UP_FREQUENCY: 0,
+            COIN_FREQUENCY: 0.5,
+            DOUBLE_JUMP: false,
+            AIR_DASH: false,
+            OBSTACLE_SPEEDS: {
+                CACTUS_SMALL: { minSpeed: 0, multipleSpeed: 4 },
+                CACTUS_LARGE: { minSpeed: 0, multipleSpeed: 7 },
+                PTERODACTYL: { minSpeed: 8.5, multipleSpeed: 999 }
+            }
+        },
+        hard: {
+            SPEED: 7,
+            ACCELERATION: 0.0014,
+            MAX_SPEED: 15,
+            GAP_COEFFICIENT: 0.5,
+            POWER_UP_FREQUENCY: 0.12,
+            COIN_FREQUENCY: 0.6,
+            DOUBLE_JUMP: false,
+            AIR_DASH: true,
+            OBSTACLE_SPEEDS: {
+                CACTUS_SMALL: { minSpeed: 0, multipleSpeed: 3 },
+                CACTUS_LARGE: { minSpeed: 0, multipleSpeed: 6 },
+                PTERODACTYL: { minSpeed: 7.5, multipleSpeed: 999 }
+            }
+        },
+        insane: {
+            SPEED: 9,
+            ACCELERATION: 0.002,
+            MAX_SPEED: 18,
+            GAP_COEFFICIENT: 0.4,
+            POWER_UP_FREQUENCY: 0.08,
+            COIN_FREQUENCY: 0.7,
+            DOUBLE_JUMP: true,
+            AIR_DASH: true,
+            OBSTACLE_SPEEDS: {
+                CACTUS_SMALL: { minSpeed: 0, multipleSpeed: 0 },
+                CACTUS_LARGE: { minSpeed: 0, multipleSpeed: 0 },
+                PTERODACTYL: { minSpeed: 0, multipleSpeed: 999 }
+            }
+        }
+    };
+
+
     /**
      * Default dimensions.
      * @enum {string}
@@ -421,17 +3830,49 @@ const PerformanceManager = {
     };
 
 
+    /**
+     * Lifecycle events emitted to listeners registered with Runner#on.
+     * @enum {string}
+     */
+    Runner.lifecycle = {
+        COIN: 'coin',
+        CRASH: 'crash',
+        DASH: 'dash',
+        DUCK: 'duck',
+        JUMP: 'jump',
+        FLYBY: 'flyby',
+        MILESTONE: 'milestone',
+        NEAR_MISS: 'nearmiss',
+        PAUSE: 'pause',
+        POWER_UP: 'powerup',
+        PROFILE: 'profile',
+        RECORD: 'record',
+        RESTART: 'restart',
+        RESUME: 'resume',
+        SCORE: 'score',
+        SHIELD: 'shield',
+        START: 'start'
+    };
+
+
     /**
      * CSS class names.
      * @enum {string}
      */
     Runner.classes = {
+        AIR_DASH: 'air-dash',
         ARCADE_MODE: 'arcade-mode',
         CANVAS: 'runner-canvas',
+        CHALLENGE_BEATEN: 'beaten',
         CONTAINER: 'runner-container',
+        CONTROLS: 'controls-',
         CRASHED: 'crashed',
+        GAME_OVER: 'game-over',
+        GHOST_AHEAD: 'ahead',
+        POWER_UP_EXPIRING: 'expiring',
         ICON: 'icon-offline',
         INVERTED: 'inverted',
+        REDUCED_MOTION: 'reduced-motion',
         SNACKBAR: 'snackbar',
         SNACKBAR_SHOW: 'snackbar-show',
         TOUCH_CONTROLLER: 'controller'
@@ -488,6 +3929,7 @@ const PerformanceManager = {
     Runner.keycodes = {
         JUMP: { '38': 1, '32': 1 },  // Up, spacebar
         DUCK: { '40': 1 },  // Down
+        DASH: { '39': 1 },  // Right
         RESTART: { '13': 1 }  // Enter
     };
 
@@ -513,6 +3955,31 @@ const PerformanceManager = {
     };
 
 
+    /**
+     * Events in a run recording, each logged as [steps, event]: the number of
+     * ticks run before it and the name. A power-up is logged with its type as
+     * a third item.
+     * @enum {string}
+     */
+    Runner.recordedEvents = {
+        JUMP: 'jump',
+        JUMP_END: 'jumpEnd',
+        DUCK: 'duck',
+        DUCK_END: 'duckEnd',
+        DASH: 'dash',
+        INTRO_END: 'introEnd',
+        POWER_UP: 'powerUp',
+        RESUME: 'resume'
+    };
+
+
+    /**
+     * Version of the run recording format.
+     * @const
+     */
+    Runner.RECORDING_VERSION = 3;
+
+
     Runner.prototype = {
         /**
          * Setup error handling for the game.
@@ -531,49 +3998,538 @@ const PerformanceManager = {
         },
         
         /**
-         * Setup Telegram-specific integrations.
+         * Subscribe to a lifecycle event.
+         * @param {Runner.lifecycle} type
+         * @param {function(Object)} listener Called with the event detail.
          */
-        setupTelegramIntegration: function () {
-            if (!this.isTelegramEnvironment) return;
-            
-            // Removed main button setup to avoid duplication with game's restart
-            
-            // Setup viewport change handling
-            this.telegramAPI.app.onEvent('viewportChanged', () => {
-                setTimeout(() => {
-                    this.adjustDimensions();
-                }, 100);
-            });
-            
-            // Handle theme changes
-            this.telegramAPI.app.onEvent('themeChanged', () => {
-                this.telegramAPI.applyTheme();
+        on: function (type, listener) {
+            (this.listeners[type] = this.listeners[type] || []).push(listener);
+        },
+
+        /**
+         * @param {Runner.lifecycle} type
+         * @param {function(Object)} listener
+         */
+        off: function (type, listener) {
+            this.listeners[type] = (this.listeners[type] || []).filter(
+                function (fn) { return fn != listener; });
+        },
+
+        /**
+         * Notify listeners of a lifecycle event. A failing listener is logged
+         * and does not stop the game loop. Nothing is emitted during a replay.
+         * @param {Runner.lifecycle} type
+         * @param {Object} opt_detail
+         */
+        emit: function (type, opt_detail) {
+            // A replay repeats a finished run, which listeners have seen.
+            if (this.replay) {
+                return;
+            }
+            var detail = Object.assign({ type: type, score: this.getScore() },
+                opt_detail);
+
+            (this.listeners[type] || []).slice().forEach(function (listener) {
+                try {
+                    listener(detail);
+                } catch (error) {
+                    console.error('Error in ' + type + ' listener:', error);
+                }
             });
         },
+
+        /**
+         * @param {number} coins Coins picked up in the run.
+         */
+        setCoins: function (coins) {
+            this.coins = coins;
+            if (this.distanceMeter) {
+                this.distanceMeter.coins = coins;
+            }
+        },
+
+        /**
+         * Score of the current or last run.
+         * @return {number}
+         */
+        getScore: function () {
+            return Math.ceil(this.distanceRan + this.bonusScore);
+        },
+
+        /**
+         * Seed the random streams for a run. Every run of a launch with a
+         * seed gets the same course; otherwise each run gets a new seed,
+         * unless it is a ghost race on the course of the best run.
+         */
+        seedRandom: function () {
+            this.seed = this.launch.seed ? Random.parseSeed(this.launch.seed) :
+                this.racingGhost ? this.bestRecordings[this.difficulty].seed :
+                Random.createSeed();
+            this.courseRandom.setSeed(this.seed);
+            this.sceneryRandom.setSeed(this.seed ^ Random.SCENERY_SALT);
+            this.pickupRandom.setSeed(this.seed ^ Random.PICKUP_SALT);
+        },
+
+        /**
+         * Ghost of the best run for the run about to start, if the player
+         * races it and it ran the same course at the same width.
+         * @return {Ghost}
+         */
+        createGhost: function () {
+            var best = this.getGhostRecording();
+
+            if (!best || best.seed != this.seed || best.width != this.dimensions.WIDTH) {
+                return null;
+            }
+            return new Ghost(this.canvas, this.spriteDef.TREX, best);
+        },
+
+        /**
+         * The best run on the difficulty of the next run, if it is a ghost
+         * race or the player shows the ghost whenever the course is the
+         * same. Custom games have none.
+         * @return {Object}
+         */
+        getGhostRecording: function () {
+            if (!this.ghostEnabled && !this.racingGhost) {
+                return null;
+            }
+            return this.bestRecordings[this.selectDifficulty()] || null;
+        },
+
+        /**
+         * Whether the next run can race the ghost of the best run on its own
+         * course: only between runs of a launch without a seed, and at the
+         * width the best run was played at.
+         * @return {boolean}
+         */
+        canRaceGhost: function () {
+            var best = this.bestRecordings[this.selectDifficulty()];
+            return this.crashed && !this.launch.seed && !!best &&
+                best.width == this.dimensions.WIDTH;
+        },
+
+        /**
+         * Start a ghost race: a run on the course of the best run, against
+         * its ghost. The course is known, so the run is not ranked.
+         */
+        raceGhost: function () {
+            if (this.canRaceGhost()) {
+                this.restart(true);
+            }
+        },
+
+        /**
+         * Difficulty of the next run. Daily Runs are Classic, so everyone
+         * runs the same course, and custom games bring their own.
+         * @return {string} Key of Runner.difficulties, or 'custom'.
+         */
+        selectDifficulty: function () {
+            if (this.launch.custom) {
+                return 'custom';
+            }
+            return this.launch.mode == 'daily' ? 'classic' : this.preferredDifficulty;
+        },
+
+        /**
+         * Apply a difficulty to the config and the horizon. Switching
+         * difficulty switches the high score to its best.
+         * @param {string} difficulty Key of Runner.difficulties, or 'custom'
+         *     for the launch's custom difficulty.
+         */
+        setDifficulty: function (difficulty) {
+            Object.assign(this.config, difficulty == 'custom' ?
+                this.launch.custom : Runner.difficulties[difficulty]);
+            if (this.horizon) {
+                this.horizon.setDifficulty(this.config);
+            }
+            // Shows the dash button.
+            document.body.classList.toggle(Runner.classes.AIR_DASH,
+                !!this.config.AIR_DASH);
+
+            if (difficulty != this.difficulty) {
+                this.difficulty = difficulty;
+                this.highestScore = this.telegramAPI.getHighScore(difficulty);
+                this.showHighScore();
+            }
+        },
+
+        /**
+         * Report near misses and pterodactyl fly-bys once an obstacle is
+         * behind the T-rex.
+         * @param {Obstacle} obstacle The obstacle checked for collisions.
+         */
+        checkObstaclePass: function (obstacle) {
+            if (!obstacle || obstacle.cleared) {
+                return;
+            }
+            if (!obstacle.nearMiss) {
+                obstacle.nearMiss = checkForNearMiss(obstacle, this.tRex,
+                    this.config.NEAR_MISS_MARGIN);
+            }
+            if (obstacle.xPos + obstacle.width < this.tRex.xPos) {
+                obstacle.cleared = true;
+                if (obstacle.nearMiss) {
+                    this.emit(Runner.lifecycle.NEAR_MISS);
+                }
+                if (obstacle.typeConfig.type == 'PTERODACTYL') {
+                    this.emit(Runner.lifecycle.FLYBY);
+                }
+            }
+        },
+
+        /**
+         * Start logging the run about to begin: everything a replay needs to
+         * put the game in the same state, then the input with the tick it
+         * came before. The run is played in fixed ticks, so their number and
+         * the seed repeat it exactly.
+         */
+        startRecording: function () {
+            this.recording = {
+                version: Runner.RECORDING_VERSION,
+                seed: this.seed,
+                mode: this.launch.mode,
+                day: this.launch.day,
+                difficulty: this.difficulty,
+                config: Object.assign({}, this.config),
+                width: this.dimensions.WIDTH,
+                activated: this.activated,
+                startX: this.tRex.xPos,
+                events: [],
+                steps: 0,
+                score: 0
+            };
+        },
+
+        /**
+         * @param {Runner.recordedEvents} event
+         * @param {string=} opt_powerUp Type of a power-up picked up.
+         */
+        recordEvent: function (event, opt_powerUp) {
+            if (this.recording) {
+                var entry = [this.recording.steps, event];
+                if (opt_powerUp) {
+                    entry.push(opt_powerUp);
+                }
+                this.recording.events.push(entry);
+            }
+        },
+
+        /**
+         * Close the log of the run that just ended.
+         */
+        finishRecording: function () {
+            if (this.recording) {
+                this.recording.score = this.getScore();
+                this.lastRecording = this.recording;
+                this.recording = null;
+            }
+        },
+
+        /**
+         * Jump key or button pressed during a run. Jumps again in mid-air
+         * where the difficulty allows a double jump.
+         */
+        pressJump: function () {
+            this.recordEvent(Runner.recordedEvents.JUMP);
+            if (!this.tRex.jumping && !this.tRex.ducking) {
+                this.playSound(this.soundFx.BUTTON_PRESS);
+                this.tRex.startJump(this.currentSpeed);
+                this.emit(Runner.lifecycle.JUMP);
+            } else if (this.config.DOUBLE_JUMP &&
+                this.tRex.startDoubleJump(this.currentSpeed)) {
+                this.playSound(this.soundFx.BUTTON_PRESS);
+                this.emit(Runner.lifecycle.JUMP, { doubleJump: true });
+            }
+        },
+
+        /**
+         * Jump key or button released during a run.
+         */
+        releaseJump: function () {
+            this.recordEvent(Runner.recordedEvents.JUMP_END);
+            this.tRex.endJump();
+        },
+
+        /**
+         * Duck key or button pressed during a run. Drops out of a jump.
+         */
+        pressDuck: function () {
+            this.recordEvent(Runner.recordedEvents.DUCK);
+            if (this.tRex.jumping) {
+                // Speed drop, activated only when jump key is not pressed.
+                this.tRex.setSpeedDrop();
+            } else if (!this.tRex.ducking) {
+                this.tRex.setDuck(true);
+                this.emit(Runner.lifecycle.DUCK);
+            }
+        },
+
+        /**
+         * Duck key or button released.
+         */
+        releaseDuck: function () {
+            this.recordEvent(Runner.recordedEvents.DUCK_END);
+            this.tRex.speedDrop = false;
+            this.tRex.setDuck(false);
+        },
+
+        /**
+         * Dash key or button pressed during a run, where the difficulty
+         * allows an air dash.
+         */
+        pressDash: function () {
+            if (!this.config.AIR_DASH) {
+                return;
+            }
+            this.recordEvent(Runner.recordedEvents.DASH);
+            if (this.tRex.startDash()) {
+                this.emit(Runner.lifecycle.DASH);
+            }
+        },
+
+        /**
+         * Start the first run from the waiting screen.
+         */
+        beginRun: function () {
+            this.loadSounds();
+            this.playing = true;
+            this.racingGhost = false;
+            // The clock last ran on the waiting screen, maybe long ago.
+            this.time = getTimeStamp();
+            this.accumulator = 0;
+            this.setDifficulty(this.selectDifficulty());
+            this.setSpeed(this.config.SPEED);
+            this.seedRandom();
+            this.ghost = this.createGhost();
+            this.startRecording();
+            this.update();
+            this.emit(Runner.lifecycle.START);
+        },
+
+        /**
+         * Put the game at the start of a recorded run, for ReplayPlayer to
+         * step through with stepReplay(). The game's own state is kept aside
+         * until endReplay().
+         * @param {Object} recording
+         */
+        loadReplay: function (recording) {
+            if (!this.replay) {
+                this.finishRecording();
+                this.replay = {
+                    config: this.config,
+                    distanceRan: this.distanceRan,
+                    bonusScore: this.bonusScore,
+                    coins: this.coins
+                };
+                document.body.classList.remove(Runner.classes.GAME_OVER);
+            }
+
+            // Recordings made before difficulties carry no obstacle speeds,
+            // so missing values are the defaults rather than the current
+            // difficulty's.
+            this.config = Object.assign({}, Runner.config, recording.config);
+            this.horizon.setDifficulty(this.config);
+            this.dimensions.WIDTH = recording.width;
+            this.canvas.width = this.dimensions.WIDTH;
+            this.containerEl.style.width = this.dimensions.WIDTH + 'px';
+            Runner.updateCanvasScaling(this.canvas);
+            this.distanceMeter.calcXPos(this.dimensions.WIDTH);
+
+            this.seed = recording.seed;
+            this.courseRandom.setSeed(this.seed);
+            this.sceneryRandom.setSeed(this.seed ^ Random.SCENERY_SALT);
+            this.pickupRandom.setSeed(this.seed ^ Random.PICKUP_SALT);
+
+            this.activated = recording.activated;
+            this.ghost = null;
+            this.playing = true;
+            this.paused = false;
+            this.crashed = false;
+            this.playingIntro = false;
+            this.runningTime = 0;
+            this.distanceRan = 0;
+            this.bonusScore = 0;
+            this.setCoins(0);
+            this.powerUps.reset();
+            this.lastScore = 0;
+            this.setSpeed(this.config.SPEED);
+            this.containerEl.classList.remove(Runner.classes.CRASHED);
+            this.clearCanvas();
+            this.distanceMeter.reset(this.highestScore);
+            this.horizon.reset();
+            this.tRex.reset();
+            this.tRex.resetAbilities();
+            this.tRex.playingIntro = false;
+            this.tRex.xPos = recording.startX;
+            this.tRex.savePosition();
+            this.accumulator = 0;
+            this.invert(true);
+        },
+
+        /**
+         * Run one recorded tick of a loaded replay.
+         */
+        stepReplay: function () {
+            if (this.playing) {
+                this.tick(this.msPerFrame);
+            }
+        },
+
+        /**
+         * Draw a loaded replay. A crash is drawn by gameOver.
+         * @param {number=} opt_alpha See Runner#draw.
+         */
+        drawReplay: function (opt_alpha) {
+            if (this.playing) {
+                this.draw(opt_alpha);
+            }
+        },
+
+        /**
+         * Repeat a recorded event in a loaded replay.
+         * @param {Runner.recordedEvents} event
+         */
+        applyRecordedEvent: function (event) {
+            switch (event) {
+                case Runner.recordedEvents.JUMP:
+                    this.pressJump();
+                    break;
+                case Runner.recordedEvents.JUMP_END:
+                    this.releaseJump();
+                    break;
+                case Runner.recordedEvents.DUCK:
+                    this.pressDuck();
+                    break;
+                case Runner.recordedEvents.DUCK_END:
+                    this.releaseDuck();
+                    break;
+                case Runner.recordedEvents.DASH:
+                    this.pressDash();
+                    break;
+                case Runner.recordedEvents.INTRO_END:
+                    this.runningTime = 0;
+                    this.playingIntro = false;
+                    this.tRex.playingIntro = false;
+                    break;
+                case Runner.recordedEvents.RESUME:
+                    this.tRex.reset();
+                    break;
+                case Runner.recordedEvents.POWER_UP:
+                    // The replayed run picks it up again itself.
+                    break;
+            }
+        },
+
+        /**
+         * Leave a replay. The game is left on the game over screen of the
+         * last run, ready to restart.
+         */
+        endReplay: function () {
+            if (!this.replay) {
+                return;
+            }
+            this.config = this.replay.config;
+            this.horizon.setDifficulty(this.config);
+            this.distanceRan = this.replay.distanceRan;
+            this.bonusScore = this.replay.bonusScore;
+            this.setCoins(this.replay.coins);
+            this.lastScore = this.getScore();
+            this.replay = null;
+
+            this.activated = true;
+            this.playing = false;
+            this.paused = true;
+            this.crashed = true;
+            this.crashTime = 0;
+            this.time = getTimeStamp();
+            this.tRex.update(0, Trex.status.CRASHED);
+            document.body.classList.add(Runner.classes.GAME_OVER);
+            if (!this.gameOverPanel) {
+                this.gameOverPanel = new GameOverPanel(this.canvas,
+                    this.spriteDef.TEXT_SPRITE, this.spriteDef.RESTART,
+                    this.dimensions);
+            }
+            // Back to the page width, redrawing the frame.
+            this.adjustDimensions();
+        },
+
         
         /**
-         * Update score displays for Telegram UI.
+         * Apply the loaded save data to the game.
+         * @param {Object} userData
          */
-        updateTelegramScoreDisplay: function () {
-            if (!this.isTelegramEnvironment) return;
-            
-            const currentScore = document.getElementById('current-score');
-            const highScore = document.getElementById('high-score');
-            
-            if (currentScore) {
-                currentScore.textContent = Math.ceil(this.distanceRan);
+        applyUserData: function (userData) {
+            this.userDataLoaded = true;
+            // Picks the difficulty, whose best is the high score.
+            this.applySettings(userData.settings);
+            this.highestScore = Math.max(this.highestScore,
+                this.telegramAPI.getHighScore(this.difficulty));
+            this.showHighScore();
+        },
+
+        /**
+         * Forget the high score after the saved progress was wiped.
+         */
+        resetProgress: function () {
+            this.highestScore = 0;
+            this.bestRecordings = {};
+            this.showHighScore();
+        },
+
+        /**
+         * Show the high score in the distance meter and tell listeners.
+         */
+        showHighScore: function () {
+            if (this.distanceMeter) {
+                if (this.highestScore) {
+                    this.distanceMeter.setHighScore(this.highestScore);
+                } else {
+                    // A zero high score is not drawn at all, unlike setHighScore(0).
+                    this.distanceMeter.highScore = 0;
+                }
             }
-            
-            if (highScore) {
-                highScore.textContent = this.highestScore;
+            this.emit(Runner.lifecycle.PROFILE, { highScore: this.highestScore });
+        },
+
+        /**
+         * Apply player settings. Called on load and whenever the settings
+         * panel changes something.
+         * @param {Object} settings
+         */
+        applySettings: function (settings) {
+            this.soundEnabled = settings.soundEnabled !== false;
+            this.soundVolume = settings.volume;
+            this.reducedMotion = settings.reducedMotion;
+            // Takes effect from the next run.
+            this.ghostEnabled = settings.ghostEnabled;
+            this.preferredDifficulty = settings.difficulty;
+            // Between runs, the high score shown follows the difficulty.
+            if (this.crashed || (!this.playing && !this.paused)) {
+                this.setDifficulty(this.selectDifficulty());
+            }
+
+            // Sounds are only decoded once sound is enabled.
+            if (this.soundEnabled && !this.audioContext && this.playCount) {
+                this.loadSounds();
+            }
+            if (this.reducedMotion && this.inverted) {
+                this.invert(true);
             }
+
+            document.body.classList.toggle(Runner.classes.REDUCED_MOTION,
+                this.reducedMotion);
+            SaveSchema.CONTROL_LAYOUTS.forEach((layout) => {
+                document.body.classList.toggle(Runner.classes.CONTROLS + layout,
+                    settings.controlLayout == layout);
+            });
         },
+
         /**
          * Whether the easter egg has been disabled. CrOS enterprise enrolled devices.
          * @return {boolean}
          */
         isDisabled: function () {
-            // return loadTimeData && loadTimeData.valueExists('disabledEasterEgg');
             return false;
         },
 
@@ -583,7 +4539,7 @@ const PerformanceManager = {
         setupDisabledRunner: function () {
             this.containerEl = document.createElement('div');
             this.containerEl.className = Runner.classes.SNACKBAR;
-            this.containerEl.textContent = loadTimeData.getValue('disabledEasterEgg');
+            this.containerEl.textContent = I18n.t('disabledEasterEgg');
             this.outerContainerEl.appendChild(this.containerEl);
 
             // Show notification when the activation key is pressed.
@@ -740,6 +4696,15 @@ const PerformanceManager = {
          * Enhanced game initialization with Telegram optimizations.
          */
         init: function () {
+            // Draw sprites from a copy of the sheet that follows the theme.
+            if (!Runner.spriteSheet) {
+                Runner.spriteSheet = Runner.imageSprite;
+                Runner.imageSprite = Runner.createSpriteAtlas(Runner.spriteSheet);
+                this.updateSpriteTheme();
+            }
+
+            SafeArea.update();
+
             // Hide the static icon.
             const iconEl = document.querySelector('.' + Runner.classes.ICON);
             if (iconEl) {
@@ -770,36 +4735,178 @@ const PerformanceManager = {
 
             // Horizon contains clouds, obstacles and the ground.
             this.horizon = new Horizon(this.canvas, this.spriteDef, this.dimensions,
-                this.config.GAP_COEFFICIENT);
+                this.config, this.courseRandom, this.sceneryRandom,
+                this.pickupRandom);
 
             // Distance meter
             this.distanceMeter = new DistanceMeter(this.canvas,
                 this.spriteDef.TEXT_SPRITE, this.dimensions.WIDTH);
 
-            // Draw t-rex
-            this.tRex = new Trex(this.canvas, this.spriteDef.TREX);
+            // Draw t-rex
+            this.tRex = new Trex(this.canvas, this.spriteDef.TREX, this.sceneryRandom);
+
+            this.outerContainerEl.appendChild(this.containerEl);
+
+            if (IS_MOBILE || this.isTelegramEnvironment) {
+                this.createTouchController();
+            }
+
+            this.setupGameOverActions();
+            this.startListening();
+            this.update();
+
+            window.addEventListener(Runner.events.RESIZE,
+                this.debounceResize.bind(this));
+                
+            // Force arcade mode scaling immediately for mobile
+            if (IS_MOBILE || this.isTelegramEnvironment || window.innerWidth <= 768) {
+                setTimeout(() => {
+                    this.setArcadeModeContainerScale();
+                }, 100);
+            }
+            
+            // Initialize score displays
+            if (this.userDataLoaded && this.highestScore) {
+                this.distanceMeter.setHighScore(this.highestScore);
+            }
+        },
+
+        /**
+         * Current game state, as shown by the Telegram bottom buttons.
+         * @return {string} 'waiting', 'playing', 'paused' or 'crashed'.
+         */
+        getGameState: function () {
+            if (this.crashed) {
+                return 'crashed';
+            } else if (this.playing) {
+                return 'playing';
+            } else if (this.paused) {
+                return 'paused';
+            }
+            return 'waiting';
+        },
+
+        /**
+         * Time left before a crashed game may be restarted.
+         * @return {number} Milliseconds.
+         */
+        getRestartDelay: function () {
+            return this.crashed ? Math.max(0, this.config.GAMEOVER_CLEAR_TIME -
+                (getTimeStamp() - this.crashTime)) : 0;
+        },
+
+        /**
+         * Start the first run with a jump, as the jump key does.
+         */
+        start: function () {
+            if (this.playing || this.crashed) {
+                return;
+            }
+            if (this.paused && !this.playing) {
+                this.resume();
+            } else {
+                this.beginRun();
+            }
+            this.pressJump();
+        },
+
+        /**
+         * Resume a paused run.
+         */
+        resume: function () {
+            if (this.paused && !this.playing && !this.crashed) {
+                this.recordEvent(Runner.recordedEvents.RESUME);
+                this.tRex.reset();
+                this.play();
+            }
+        },
+
+        /**
+         * Buttons shown on the game over screen, and the settings entry point.
+         */
+        setupGameOverActions: function () {
+            LeaderboardView.init();
+            Dialogs.init();
+            CustomDifficulty.init();
+            SettingsPanel.init({
+                onChange: (settings) => this.applySettings(settings),
+                onReset: () => this.resetProgress(),
+                // Pause the run while the player changes settings.
+                onOpen: () => {
+                    if (this.playing) {
+                        this.stop();
+                    }
+                }
+            });
 
-            this.outerContainerEl.appendChild(this.containerEl);
+            const leaderboardButton = document.getElementById('leaderboard-btn');
+            if (leaderboardButton) {
+                // Leaderboards rank Classic runs only.
+                leaderboardButton.addEventListener('click', () => {
+                    LeaderboardView.open(this.telegramAPI.getHighScore('classic'));
+                });
+            }
 
-            if (IS_MOBILE || this.isTelegramEnvironment) {
-                this.createTouchController();
+            const shareButton = document.getElementById('share-btn');
+            if (shareButton) {
+                shareButton.addEventListener('click', () => this.shareScore());
             }
 
-            this.startListening();
-            this.update();
+            const raceGhostButton = document.getElementById('race-ghost-btn');
+            if (raceGhostButton) {
+                raceGhostButton.addEventListener('click', () => this.raceGhost());
+                this.on(Runner.lifecycle.CRASH, () => {
+                    raceGhostButton.hidden = !this.canRaceGhost();
+                });
+            }
+        },
 
-            window.addEventListener(Runner.events.RESIZE,
-                this.debounceResize.bind(this));
-                
-            // Force arcade mode scaling immediately for mobile
-            if (IS_MOBILE || this.isTelegramEnvironment || window.innerWidth <= 768) {
-                setTimeout(() => {
-                    this.setArcadeModeContainerScale();
-                }, 100);
+        /**
+         * Share a score card of the last run.
+         * @return {Promise<string>} The share method used.
+         */
+        shareScore: function () {
+            if (!this.crashed) {
+                return Promise.resolve(null);
             }
-            
-            // Initialize score displays
-            this.updateTelegramScoreDisplay();
+
+            const player = this.telegramAPI.getPlayer();
+            const stats = {
+                score: this.getScore(),
+                best: this.highestScore,
+                playerName: player ?
+                    [player.first_name, player.last_name].filter(Boolean).join(' ') : ''
+            };
+
+            return Promise.resolve().then(() => {
+                return ScoreCard.share(this.canvas, stats);
+            }).catch((error) => {
+                console.warn('Failed to share score:', error);
+                return null;
+            });
+        },
+
+        /**
+         * Recolour the sprites for the current Telegram theme: foreground
+         * from text_color, the restart button from button_color.
+         */
+        updateSpriteTheme: function () {
+            var theme = this.isTelegramEnvironment ?
+                this.telegramAPI.app.themeParams : {};
+            var scale = IS_HIDPI ? 2 : 1;
+            var restart = this.spriteDef.RESTART;
+
+            Runner.tintSpriteAtlas(Runner.imageSprite, Runner.spriteSheet,
+                theme.text_color ? {
+                    foreground: theme.text_color,
+                    background: theme.bg_color || '#f7f7f7',
+                    accent: theme.button_color || theme.text_color
+                } : null, [{
+                    x: restart.x,
+                    y: restart.y,
+                    width: GameOverPanel.dimensions.RESTART_WIDTH * scale,
+                    height: GameOverPanel.dimensions.RESTART_HEIGHT * scale
+                }]);
         },
 
         /**
@@ -832,6 +4939,7 @@ const PerformanceManager = {
             try {
                 this.jumpButton = document.getElementById('jump-btn');
                 this.duckButton = document.getElementById('duck-btn');
+                this.dashButton = document.getElementById('dash-btn');
                 
                 if (this.jumpButton && this.duckButton) {
                     // Jump button events
@@ -852,6 +4960,13 @@ const PerformanceManager = {
                 } else {
                     console.warn('Mobile control buttons not found');
                 }
+
+                // Shown only where the difficulty allows an air dash.
+                if (this.dashButton) {
+                    this.dashButton.addEventListener('touchstart', this.handleMobileDash.bind(this), {passive: false});
+                    this.dashButton.addEventListener('mousedown', this.handleMobileDash.bind(this), {passive: false});
+                    this.addButtonFeedback(this.dashButton);
+                }
             } catch (error) {
                 console.error('Error initializing mobile buttons:', error);
             }
@@ -865,9 +4980,7 @@ const PerformanceManager = {
             
             button.addEventListener('touchstart', () => {
                 button.style.transform = 'scale(0.9)';
-                if (this.isTelegramEnvironment) {
-                    this.telegramAPI.vibrate('light');
-                }
+                HapticsEngine.play('tap');
             }, {passive: true});
             
             button.addEventListener('touchend', () => {
@@ -883,24 +4996,15 @@ const PerformanceManager = {
             e.stopPropagation();
             
             if (!this.crashed) {
-                if (!this.playing) {
-                    this.loadSounds();
-                    this.playing = true;
-                    this.update();
+                if (this.paused && !this.playing) {
+                    this.resume();
+                } else if (!this.playing) {
+                    this.beginRun();
                     if (window.errorPageController) {
                         errorPageController.trackEasterEgg();
                     }
                 }
-                
-                if (!this.tRex.jumping && !this.tRex.ducking) {
-                    this.playSound(this.soundFx.BUTTON_PRESS);
-                    this.tRex.startJump(this.currentSpeed);
-                    
-                    // Telegram haptic feedback
-                    if (this.isTelegramEnvironment) {
-                        this.telegramAPI.vibrate('light');
-                    }
-                }
+                this.pressJump();
             } else {
                 this.restart();
             }
@@ -915,7 +5019,7 @@ const PerformanceManager = {
             e.stopPropagation();
             
             if (this.isRunning()) {
-                this.tRex.endJump();
+                this.releaseJump();
             }
         },
         
@@ -927,16 +5031,7 @@ const PerformanceManager = {
             e.stopPropagation();
             
             if (this.playing && !this.crashed) {
-                if (this.tRex.jumping) {
-                    this.tRex.setSpeedDrop();
-                } else if (!this.tRex.jumping && !this.tRex.ducking) {
-                    this.tRex.setDuck(true);
-                    
-                    // Telegram haptic feedback for ducking
-                    if (this.isTelegramEnvironment) {
-                        this.telegramAPI.vibrate('light');
-                    }
-                }
+                this.pressDuck();
             }
         },
         
@@ -948,8 +5043,20 @@ const PerformanceManager = {
             e.preventDefault();
             e.stopPropagation();
             
-            this.tRex.speedDrop = false;
-            this.tRex.setDuck(false);
+            this.releaseDuck();
+        },
+
+        /**
+         * Handle mobile dash button press.
+         * @param {Event} e
+         */
+        handleMobileDash: function (e) {
+            e.preventDefault();
+            e.stopPropagation();
+
+            if (this.playing && !this.crashed) {
+                this.pressDash();
+            }
         },
 
         /**
@@ -969,6 +5076,11 @@ const PerformanceManager = {
             clearInterval(this.resizeTimerId_);
             this.resizeTimerId_ = null;
 
+            // A replay keeps the recorded width until it ends.
+            if (this.replay) {
+                return;
+            }
+
             var boxStyles = window.getComputedStyle(this.outerContainerEl);
             var padding = Number(boxStyles.paddingLeft.substr(0,
                 boxStyles.paddingLeft.length - 2));
@@ -1000,17 +5112,16 @@ const PerformanceManager = {
                 Runner.updateCanvasScaling(this.canvas);
 
                 this.distanceMeter.calcXPos(this.dimensions.WIDTH);
-                this.clearCanvas();
-                this.horizon.update(0, 0, true);
-                this.tRex.update(0);
 
                 // Outer container and distance meter.
                 if (this.playing || this.crashed || this.paused) {
                     this.containerEl.style.width = this.dimensions.WIDTH + 'px';
                     this.containerEl.style.height = this.dimensions.HEIGHT + 'px';
-                    this.distanceMeter.update(0, Math.ceil(this.distanceRan));
+                    this.draw();
                     this.stop();
                 } else {
+                    this.clearCanvas();
+                    this.horizon.draw();
                     this.tRex.draw(0, 0);
                 }
 
@@ -1018,6 +5129,7 @@ const PerformanceManager = {
                 if (this.crashed && this.gameOverPanel) {
                     this.gameOverPanel.updateDimensions(this.dimensions.WIDTH);
                     this.gameOverPanel.draw();
+                    this.gameOverPanel.drawCoins(this.coins);
                 }
             }
         },
@@ -1031,6 +5143,12 @@ const PerformanceManager = {
                 this.playingIntro = true;
                 this.tRex.playingIntro = true;
 
+                // A replay ends the intro on the recorded tick.
+                if (this.replay) {
+                    this.activated = true;
+                    return;
+                }
+
                 // Skip intro animation on mobile and go directly to arcade mode
                 if (IS_MOBILE || window.innerWidth <= 768) {
                     this.startGame();
@@ -1067,6 +5185,7 @@ const PerformanceManager = {
          * Update the game status to started.
          */
         startGame: function () {
+            this.recordEvent(Runner.recordedEvents.INTRO_END);
             this.setArcadeMode();
             this.runningTime = 0;
             this.playingIntro = false;
@@ -1091,102 +5210,239 @@ const PerformanceManager = {
         },
 
         /**
-         * Enhanced game update loop with Telegram integration.
+         * Enhanced game update loop with Telegram integration. The time since
+         * the last frame is simulated in fixed ticks, then the frame is drawn
+         * between the last two ticks.
          */
         update: function () {
             this.updatePending = false;
 
             var now = getTimeStamp();
-            var deltaTime = now - (this.time || now);
+            // A long hitch is not caught up on.
+            var deltaTime = Math.min(now - (this.time || now),
+                this.config.MAX_FRAME_TIME);
             this.time = now;
 
             if (this.playing) {
-                this.clearCanvas();
+                this.accumulator += deltaTime;
+                while (this.playing && this.accumulator >= this.msPerFrame) {
+                    this.accumulator -= this.msPerFrame;
+                    this.tick(this.msPerFrame);
+                }
+
+                // A crash is drawn by gameOver.
+                if (this.playing) {
+                    this.draw(this.accumulator / this.msPerFrame);
+                }
+            }
 
-                if (this.tRex.jumping) {
-                    this.tRex.updateJump(deltaTime);
+            if (this.playing || (!this.activated &&
+                this.tRex.blinkCount < Runner.config.MAX_BLINK_COUNT)) {
+                // Blinking on the waiting screen.
+                if (!this.playing) {
+                    this.tRex.update(deltaTime);
                 }
+                this.scheduleNextUpdate();
+            }
+        },
+
+        /**
+         * Advance the game by one tick.
+         * @param {number} deltaTime Always msPerFrame.
+         */
+        tick: function (deltaTime) {
+            if (this.recording) {
+                this.recording.steps++;
+            }
+            if (this.ghost) {
+                this.ghost.update(deltaTime);
+            }
+            this.tRex.savePosition();
+            this.tRex.updateAbilities(deltaTime);
+
+            if (this.tRex.jumping) {
+                this.tRex.updateJump(deltaTime);
+            }
+
+            this.runningTime += deltaTime;
+            var hasObstacles = this.runningTime > this.config.CLEAR_TIME;
+
+            // First jump triggers the intro.
+            if (this.tRex.jumpCount == 1 && !this.playingIntro) {
+                this.playIntro();
+            }
+
+            // Slow motion runs the world slower rather than lowering the
+            // speed, so obstacles keep the gaps of the speed they came at.
+            var speedFactor = this.powerUps.getSpeedFactor();
+            var scoreFactor = this.powerUps.getScoreFactor();
+
+            // The horizon doesn't move until the intro is over.
+            if (this.playingIntro) {
+                this.horizon.update(0, this.currentSpeed, hasObstacles);
+            } else {
+                deltaTime = !this.activated ? 0 : deltaTime;
+                this.horizon.update(deltaTime * speedFactor, this.currentSpeed,
+                    hasObstacles, this.inverted);
+            }
 
-                this.runningTime += deltaTime;
-                var hasObstacles = this.runningTime > this.config.CLEAR_TIME;
+            // Check for collisions.
+            var obstacle = this.horizon.obstacles[0];
+            var collision = hasObstacles && !obstacle.shielded &&
+                checkForCollision(obstacle, this.tRex);
+
+            // A shield takes the hit, and the T-rex runs through the obstacle,
+            // which then counts as neither a near miss nor a fly-by.
+            if (collision && this.powerUps.absorbCrash()) {
+                obstacle.shielded = true;
+                obstacle.cleared = true;
+                collision = false;
+                this.emit(Runner.lifecycle.SHIELD);
+            }
 
-                // First jump triggers the intro.
-                if (this.tRex.jumpCount == 1 && !this.playingIntro) {
-                    this.playIntro();
+            if (!collision) {
+                if (hasObstacles) {
+                    this.checkObstaclePass(obstacle);
                 }
+                var distance = this.currentSpeed * speedFactor * deltaTime /
+                    this.msPerFrame;
+                this.distanceRan += distance;
+                this.bonusScore += distance * (scoreFactor - 1);
 
-                // The horizon doesn't move until the intro is over.
-                if (this.playingIntro) {
-                    this.horizon.update(0, this.currentSpeed, hasObstacles);
-                } else {
-                    deltaTime = !this.activated ? 0 : deltaTime;
-                    this.horizon.update(deltaTime, this.currentSpeed, hasObstacles,
-                        this.inverted);
+                if (this.currentSpeed < this.config.MAX_SPEED) {
+                    this.currentSpeed += this.config.ACCELERATION;
                 }
+            } else {
+                this.gameOver();
+                return;
+            }
 
-                // Check for collisions.
-                var collision = hasObstacles &&
-                    checkForCollision(this.horizon.obstacles[0], this.tRex);
+            // Picked up after the move, so it takes effect from the next tick
+            // in the run and in its ghost alike.
+            this.powerUps.update(deltaTime);
+            var powerUp = hasObstacles && this.horizon.collectPowerUp(this.tRex);
+            if (powerUp) {
+                this.powerUps.activate(powerUp);
+                this.recordEvent(Runner.recordedEvents.POWER_UP, powerUp);
+                this.emit(Runner.lifecycle.POWER_UP, { powerUp: powerUp });
+            }
+            if (hasObstacles && this.powerUps.attractsCoins()) {
+                this.horizon.attractCoins(this.tRex, deltaTime);
+            }
+            var coins = hasObstacles ? this.horizon.collectCoins(this.tRex) : 0;
+            if (coins) {
+                this.setCoins(this.coins + coins);
+                this.emit(Runner.lifecycle.COIN, { coins: this.coins });
+            }
 
-                if (!collision) {
-                    this.distanceRan += this.currentSpeed * deltaTime / this.msPerFrame;
+            var playAchievementSound = this.distanceMeter.update(deltaTime,
+                this.getScore());
 
-                    if (this.currentSpeed < this.config.MAX_SPEED) {
-                        this.currentSpeed += this.config.ACCELERATION;
-                    }
-                } else {
-                    this.gameOver();
-                }
+            if (playAchievementSound) {
+                this.playSound(this.soundFx.SCORE);
+                this.emit(Runner.lifecycle.MILESTONE, {
+                    distance: this.distanceMeter.getActualDistance(this.getScore())
+                });
+            }
 
-                var playAchievementSound = this.distanceMeter.update(deltaTime,
-                    Math.ceil(this.distanceRan));
+            if (this.getScore() != this.lastScore) {
+                this.lastScore = this.getScore();
+                this.emit(Runner.lifecycle.SCORE);
 
-                if (playAchievementSound) {
-                    this.playSound(this.soundFx.SCORE);
-                    
-                    // Haptic feedback for score milestones
-                    if (this.isTelegramEnvironment) {
-                        this.telegramAPI.vibrate('success');
-                    }
+                // Once per run, as the score passes the previous best.
+                if (!this.recordReached && this.highestScore > 0 &&
+                    this.lastScore > this.highestScore) {
+                    this.recordReached = true;
+                    this.emit(Runner.lifecycle.RECORD, { highScore: this.highestScore });
                 }
-                
-                // Update Telegram score display
-                this.updateTelegramScoreDisplay();
-
-                // Night mode.
-                if (this.invertTimer > this.config.INVERT_FADE_DURATION) {
-                    this.invertTimer = 0;
-                    this.invertTrigger = false;
-                    this.invert();
-                } else if (this.invertTimer) {
-                    this.invertTimer += deltaTime;
-                } else {
-                    var actualDistance =
-                        this.distanceMeter.getActualDistance(Math.ceil(this.distanceRan));
+            }
+
+            // Night mode.
+            if (this.invertTimer > this.config.INVERT_FADE_DURATION) {
+                this.invertTimer = 0;
+                this.invertTrigger = false;
+                this.invert();
+            } else if (this.invertTimer) {
+                this.invertTimer += deltaTime;
+            } else {
+                var actualDistance =
+                    this.distanceMeter.getActualDistance(Math.ceil(this.distanceRan));
 
-                    if (actualDistance > 0) {
-                        this.invertTrigger = !(actualDistance %
-                            this.config.INVERT_DISTANCE);
+                if (actualDistance > 0) {
+                    this.invertTrigger = !(actualDistance %
+                        this.config.INVERT_DISTANCE);
 
-                        if (this.invertTrigger && this.invertTimer === 0) {
-                            this.invertTimer += deltaTime;
-                            this.invert();
-                        }
+                    if (this.invertTrigger && this.invertTimer === 0) {
+                        this.invertTimer += deltaTime;
+                        this.invert();
                     }
                 }
             }
 
-            if (this.playing || (!this.activated &&
-                this.tRex.blinkCount < Runner.config.MAX_BLINK_COUNT)) {
-                this.tRex.update(deltaTime);
-                this.scheduleNextUpdate();
+            this.tRex.update(deltaTime);
+        },
+
+        /**
+         * Draw the game.
+         * @param {number=} opt_alpha Part of a tick run since the last one,
+         *     0 to 1, to draw moving things between their last two positions.
+         *     Draws the last tick as it is by default.
+         */
+        draw: function (opt_alpha) {
+            this.clearCanvas();
+            this.horizon.draw(opt_alpha);
+
+            // Behind the T-rex, as far ahead or behind as it ran.
+            if (this.ghost) {
+                this.ghost.draw(this.tRex.xPos - this.tRex.dashLead +
+                    this.ghost.distanceRan - this.distanceRan, opt_alpha);
+            }
+
+            this.distanceMeter.drawScores();
+            this.tRex.draw(this.tRex.currentAnimFrames[this.tRex.currentFrame], 0,
+                opt_alpha);
+            if (this.powerUps.isActive('SHIELD')) {
+                this.drawShield(opt_alpha);
             }
         },
 
+        /**
+         * Draw a ring around the T-rex while a shield is up. It blinks for
+         * the last seconds.
+         * @param {number=} opt_alpha See Runner#draw.
+         */
+        drawShield: function (opt_alpha) {
+            var tRex = this.tRex;
+
+            if (this.powerUps.isExpiring('SHIELD') &&
+                Math.floor(this.powerUps.getRemaining('SHIELD') / 250) % 2) {
+                return;
+            }
+            var theme = TelegramGameAPI.app ? TelegramGameAPI.app.themeParams : {};
+            var ctx = this.canvasCtx;
+
+            ctx.save();
+            ctx.strokeStyle = theme.text_color || '#535353';
+            ctx.globalAlpha = 0.6;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(interpolate(tRex.lastXPos, tRex.xPos, opt_alpha) + tRex.config.WIDTH / 2,
+                interpolate(tRex.lastYPos, tRex.yPos, opt_alpha) + tRex.config.HEIGHT / 2,
+                tRex.config.HEIGHT / 2 + 4, 0, 2 * Math.PI);
+            ctx.stroke();
+            ctx.restore();
+        },
+
         /**
          * Event handler.
          */
         handleEvent: function (e) {
+            // Overlays such as the leaderboard take all input while open, and
+            // a replay takes none.
+            if (this.replay || document.querySelector('.overlay.open')) {
+                return;
+            }
+
             return (function (evtType, events) {
                 switch (evtType) {
                     case events.KEYDOWN:
@@ -1249,6 +5505,11 @@ const PerformanceManager = {
                     this.duckButton.removeEventListener('mousedown', this.handleMobileDuck.bind(this));
                     this.duckButton.removeEventListener('mouseup', this.handleMobileDuckEnd.bind(this));
                 }
+
+                if (this.dashButton) {
+                    this.dashButton.removeEventListener('touchstart', this.handleMobileDash.bind(this));
+                    this.dashButton.removeEventListener('mousedown', this.handleMobileDash.bind(this));
+                }
             } else {
                 document.removeEventListener(Runner.events.MOUSEDOWN, this);
                 document.removeEventListener(Runner.events.MOUSEUP, this);
@@ -1265,28 +5526,24 @@ const PerformanceManager = {
                     e.preventDefault();
                 }
 
-                if (e.target != this.detailsButton) {
+                // A held key repeats, and only a fresh press jumps in mid-air.
+                var isRepeatInAir = e.repeat && this.tRex.jumping;
+
+                if (e.target != this.detailsButton && !isRepeatInAir) {
                     if (!this.crashed && (Runner.keycodes.JUMP[e.keyCode] ||
                         e.type == Runner.events.TOUCHSTART)) {
-                        if (!this.playing) {
-                            this.loadSounds();
-                            this.playing = true;
-                            this.update();
+                        // A paused run carries on rather than starting over.
+                        if (this.paused && !this.playing) {
+                            this.resume();
+                        } else if (!this.playing) {
+                            this.beginRun();
                             if (window.errorPageController) {
                                 errorPageController.trackEasterEgg();
                             }
                         }
                         
                         // Play sound effect and jump on starting the game for the first time.
-                        if (!this.tRex.jumping && !this.tRex.ducking) {
-                            this.playSound(this.soundFx.BUTTON_PRESS);
-                            this.tRex.startJump(this.currentSpeed);
-                            
-                            // Telegram haptic feedback
-                            if (this.isTelegramEnvironment) {
-                                this.telegramAPI.vibrate('light');
-                            }
-                        }
+                        this.pressJump();
                     }
 
                     if (this.crashed && e.type == Runner.events.TOUCHSTART &&
@@ -1297,18 +5554,13 @@ const PerformanceManager = {
 
                 if (this.playing && !this.crashed && Runner.keycodes.DUCK[e.keyCode]) {
                     e.preventDefault();
-                    if (this.tRex.jumping) {
-                        // Speed drop, activated only when jump key is not pressed.
-                        this.tRex.setSpeedDrop();
-                    } else if (!this.tRex.jumping && !this.tRex.ducking) {
-                        // Duck.
-                        this.tRex.setDuck(true);
-                        
-                        // Telegram haptic feedback
-                        if (this.isTelegramEnvironment) {
-                            this.telegramAPI.vibrate('light');
-                        }
-                    }
+                    this.pressDuck();
+                }
+
+                if (this.playing && !this.crashed && Runner.keycodes.DASH[e.keyCode] &&
+                    !e.repeat) {
+                    e.preventDefault();
+                    this.pressDash();
                 }
             } catch (error) {
                 console.error('Error in onKeyDown:', error);
@@ -1327,10 +5579,9 @@ const PerformanceManager = {
                 e.type == Runner.events.MOUSEDOWN;
 
             if (this.isRunning() && isjumpKey) {
-                this.tRex.endJump();
+                this.releaseJump();
             } else if (Runner.keycodes.DUCK[keyCode]) {
-                this.tRex.speedDrop = false;
-                this.tRex.setDuck(false);
+                this.releaseDuck();
             } else if (this.crashed) {
                 // Check that enough time has elapsed before allowing jump key to restart.
                 var deltaTime = getTimeStamp() - this.time;
@@ -1341,9 +5592,7 @@ const PerformanceManager = {
                     this.restart();
                 }
             } else if (this.paused && isjumpKey) {
-                // Reset the jump state
-                this.tRex.reset();
-                this.play();
+                this.resume();
             }
         },
 
@@ -1362,7 +5611,8 @@ const PerformanceManager = {
          * RequestAnimationFrame wrapper.
          */
         scheduleNextUpdate: function () {
-            if (!this.updatePending) {
+            // ReplayPlayer runs the ticks of a replay itself.
+            if (!this.updatePending && !this.replay) {
                 this.updatePending = true;
                 this.raqId = requestAnimationFrame(this.update.bind(this));
             }
@@ -1381,20 +5631,17 @@ const PerformanceManager = {
          */
         gameOver: function () {
             this.playSound(this.soundFx.HIT);
-            
-            // Enhanced haptic feedback for game over
-            if (this.isTelegramEnvironment) {
-                this.telegramAPI.vibrate('heavy');
-                // Removed main button show to avoid duplication
-            } else {
-                vibrate(200);
-            }
 
-            this.stop();
             this.crashed = true;
+            this.crashTime = getTimeStamp();
+            this.stop();
             this.distanceMeter.acheivement = false;
+            if (!this.replay) {
+                document.body.classList.add(Runner.classes.GAME_OVER);
+            }
 
             this.tRex.update(100, Trex.status.CRASHED);
+            this.draw();
 
             // Game over panel.
             if (!this.gameOverPanel) {
@@ -1404,33 +5651,41 @@ const PerformanceManager = {
             } else {
                 this.gameOverPanel.draw();
             }
+            this.gameOverPanel.drawCoins(this.coins);
 
-            // Update the high score with Telegram integration
-            const currentScore = Math.ceil(this.distanceRan);
-            let isNewHighScore = false;
-            
-            if (currentScore > this.highestScore) {
+            // A replayed crash is only shown.
+            if (this.replay) {
+                return;
+            }
+            this.finishRecording();
+
+            // Update the high score.
+            const currentScore = this.getScore();
+            const isNewHighScore = currentScore > this.highestScore;
+
+            if (isNewHighScore) {
                 this.highestScore = currentScore;
                 this.distanceMeter.setHighScore(this.highestScore);
-                isNewHighScore = true;
-                
-                // Celebrate new high score
-                if (this.isTelegramEnvironment) {
-                    this.telegramAPI.vibrate('success');
+                // Custom games are private and keep no best run.
+                if (this.difficulty != 'custom') {
+                    this.bestRecordings[this.difficulty] = this.lastRecording;
                 }
             }
-            
-            // Save score to Telegram cloud storage
-            if (this.isTelegramEnvironment) {
-                this.telegramAPI.saveScore(currentScore, isNewHighScore);
-                this.updateTelegramScoreDisplay();
-                
-                // Optionally send score to bot
-                if (isNewHighScore) {
-                    this.telegramAPI.sendScore(currentScore);
-                }
+
+            // Challenge links open with a score to beat.
+            const challengeCompleted = this.launch.mode == 'challenge' &&
+                !this.challengeBeaten && currentScore > this.launch.target;
+            if (challengeCompleted) {
+                this.challengeBeaten = true;
             }
 
+            this.emit(Runner.lifecycle.CRASH, {
+                isHighScore: isNewHighScore,
+                highScore: this.highestScore,
+                challengeCompleted: challengeCompleted,
+                coins: this.coins
+            });
+
             // Reset the time clock.
             this.time = getTimeStamp();
         },
@@ -1440,6 +5695,10 @@ const PerformanceManager = {
             this.paused = true;
             cancelAnimationFrame(this.raqId);
             this.raqId = 0;
+            // A crash stops the game too, and is reported on its own.
+            if (!this.crashed) {
+                this.emit(Runner.lifecycle.PAUSE);
+            }
         },
 
         play: function () {
@@ -1449,36 +5708,49 @@ const PerformanceManager = {
                 this.tRex.update(0, Trex.status.RUNNING);
                 this.time = getTimeStamp();
                 this.update();
+                this.emit(Runner.lifecycle.RESUME);
             }
         },
 
         /**
          * Enhanced restart function with Telegram integration.
+         * @param {boolean=} opt_raceGhost Whether the run is a ghost race,
+         *     see raceGhost().
          */
-        restart: function () {
+        restart: function (opt_raceGhost) {
+            ReplayPlayer.close();
             if (!this.raqId) {
+                this.racingGhost = !!opt_raceGhost;
                 this.playCount++;
                 this.runningTime = 0;
                 this.playing = true;
+                this.paused = false;
                 this.crashed = false;
                 this.distanceRan = 0;
+                this.bonusScore = 0;
+                this.setCoins(0);
+                this.powerUps.reset();
+                this.accumulator = 0;
+                this.setDifficulty(this.selectDifficulty());
                 this.setSpeed(this.config.SPEED);
                 this.time = getTimeStamp();
                 this.containerEl.classList.remove(Runner.classes.CRASHED);
+                document.body.classList.remove(Runner.classes.GAME_OVER);
+                LeaderboardView.close();
                 this.clearCanvas();
                 this.distanceMeter.reset(this.highestScore);
                 this.horizon.reset();
                 this.tRex.reset();
+                this.tRex.resetAbilities();
                 this.playSound(this.soundFx.BUTTON_PRESS);
                 this.invert(true);
-                
-                // Hide Telegram main button (disabled)
-                // Removed to avoid duplication with game's own restart
-                
-                // Update score displays
-                this.updateTelegramScoreDisplay();
-                
+                this.lastScore = 0;
+                this.recordReached = false;
+                this.seedRandom();
+                this.ghost = this.createGhost();
+                this.startRecording();
                 this.update();
+                this.emit(Runner.lifecycle.RESTART, { playCount: this.playCount });
             }
         },
         
@@ -1494,9 +5766,12 @@ const PerformanceManager = {
          * Sets the scaling for arcade mode.
          */
         setArcadeModeContainerScale() {
-            const windowHeight = window.innerHeight;
+            // Lay out within the safe area only.
+            const insets = SafeArea.getInsets();
+            const windowHeight = window.innerHeight - insets.top - insets.bottom;
+            const windowWidth = window.innerWidth - insets.left - insets.right;
             const scaleHeight = windowHeight / this.dimensions.HEIGHT;
-            const scaleWidth = window.innerWidth / this.dimensions.WIDTH;
+            const scaleWidth = windowWidth / this.dimensions.WIDTH;
             const scale = Math.max(1, Math.min(scaleHeight, scaleWidth));
             const scaledCanvasHeight = this.dimensions.HEIGHT * scale;
             
@@ -1524,7 +5799,7 @@ const PerformanceManager = {
                 translateY = Math.ceil(Math.max(0, (windowHeight - scaledCanvasHeight -
                                                           Runner.config.ARCADE_MODE_INITIAL_TOP_POSITION) *
                                                       Runner.config.ARCADE_MODE_TOP_POSITION_PERCENT)) *
-                      window.devicePixelRatio;
+                      window.devicePixelRatio + insets.top / scale;
                       
                 // Apply transform for desktop
                 if (this.containerEl) {
@@ -1538,6 +5813,10 @@ const PerformanceManager = {
          * Enhanced visibility change handler for Telegram.
          */
         onVisibilityChange: function (e) {
+            // ReplayPlayer pauses on its own.
+            if (this.replay) {
+                return;
+            }
             try {
                 if (document.hidden || document.webkitHidden || e.type == 'blur' ||
                     document.visibilityState != 'visible') {
@@ -1546,12 +5825,7 @@ const PerformanceManager = {
                     }
                 } else if (!this.crashed) {
                     // Resume game with slight delay to ensure proper context
-                    setTimeout(() => {
-                        if (!this.crashed && this.paused) {
-                            this.tRex.reset();
-                            this.play();
-                        }
-                    }, 100);
+                    setTimeout(() => this.resume(), 100);
                 }
             } catch (error) {
                 console.error('Error in visibility change handler:', error);
@@ -1562,11 +5836,14 @@ const PerformanceManager = {
          * Enhanced sound playing with user preference.
          */
         playSound: function (soundBuffer) {
-            if (soundBuffer && this.soundEnabled && this.audioContext) {
+            if (soundBuffer && this.soundEnabled && this.audioContext && !this.replay) {
                 try {
                     var sourceNode = this.audioContext.createBufferSource();
+                    var gainNode = this.audioContext.createGain();
                     sourceNode.buffer = soundBuffer;
-                    sourceNode.connect(this.audioContext.destination);
+                    gainNode.gain.value = this.soundVolume;
+                    sourceNode.connect(gainNode);
+                    gainNode.connect(this.audioContext.destination);
                     sourceNode.start(0);
                 } catch (error) {
                     console.warn('Error playing sound:', error);
@@ -1583,7 +5860,7 @@ const PerformanceManager = {
                 document.body.classList.toggle(Runner.classes.INVERTED, false);
                 this.invertTimer = 0;
                 this.inverted = false;
-            } else {
+            } else if (!this.reducedMotion) {
                 this.inverted = document.body.classList.toggle(Runner.classes.INVERTED,
                     this.invertTrigger);
             }
@@ -1638,123 +5915,211 @@ const PerformanceManager = {
 
 
     /**
-     * Get random number.
-     * @param {number} min
-     * @param {number} max
-     * @param {number}
+     * Create the atlas all sprites are drawn from: a canvas copy of the sprite
+     * sheet that can be recoloured in place, so existing references to
+     * Runner.imageSprite stay valid when the theme changes.
+     * @param {HTMLImageElement} image Loaded sprite sheet.
+     * @return {HTMLCanvasElement|HTMLImageElement} The atlas, or the image
+     *     itself when it has not loaded.
+     */
+    Runner.createSpriteAtlas = function (image) {
+        if (!image.naturalWidth) {
+            return image;
+        }
+
+        var atlas = document.createElement('canvas');
+        atlas.width = image.naturalWidth;
+        atlas.height = image.naturalHeight;
+        atlas.getContext('2d').drawImage(image, 0, 0);
+        return atlas;
+    };
+
+
+    /**
+     * Recolour the sprite atlas. The sprite sheet is drawn in greys between
+     * the dark foreground (#535353) and the page background (#f7f7f7); each
+     * grey is mapped to the same point between the theme's foreground and
+     * background. Accent regions use the accent colour as foreground.
+     * @param {HTMLCanvasElement} atlas
+     * @param {HTMLImageElement} image Original sprite sheet.
+     * @param {Object} colors foreground, background and accent hex colours,
+     *     or null to restore the original sprite.
+     * @param {Array<Object>} accentRegions Rectangles {x, y, width, height}.
+     */
+    Runner.tintSpriteAtlas = function (atlas, image, colors, accentRegions) {
+        if (!atlas.getContext) {
+            return;
+        }
+
+        var ctx = atlas.getContext('2d');
+        ctx.clearRect(0, 0, atlas.width, atlas.height);
+        ctx.drawImage(image, 0, 0);
+
+        if (!colors) {
+            return;
+        }
+
+        var imageData;
+        try {
+            imageData = ctx.getImageData(0, 0, atlas.width, atlas.height);
+        } catch (error) {
+            // Tainted canvas, e.g. when opened from file://.
+            console.warn('Sprite recolouring unavailable:', error);
+            return;
+        }
+
+        var foreground = parseHexColor(colors.foreground);
+        var background = parseHexColor(colors.background);
+        var accent = parseHexColor(colors.accent);
+        var pixels = imageData.data;
+        var width = atlas.width;
+
+        for (var i = 0; i < pixels.length; i += 4) {
+            if (!pixels[i + 3]) {
+                continue;
+            }
+
+            var pixel = i / 4;
+            var x = pixel % width;
+            var y = Math.floor(pixel / width);
+            var target = foreground;
+
+            for (var r = 0; r < accentRegions.length; r++) {
+                var region = accentRegions[r];
+                if (x >= region.x && x < region.x + region.width &&
+                    y >= region.y && y < region.y + region.height) {
+                    target = accent;
+                    break;
+                }
+            }
+
+            var t = Math.min(1, Math.max(0, (pixels[i] - SPRITE_FOREGROUND) /
+                (SPRITE_BACKGROUND - SPRITE_FOREGROUND)));
+            pixels[i] = Math.round(target[0] + (background[0] - target[0]) * t);
+            pixels[i + 1] = Math.round(target[1] + (background[1] - target[1]) * t);
+            pixels[i + 2] = Math.round(target[2] + (background[2] - target[2]) * t);
+        }
+        ctx.putImageData(imageData, 0, 0);
+    };
+
+
+    /**
+     * Grey levels of the foreground and background in the sprite sheet.
+     * @const
+     */
+    var SPRITE_FOREGROUND = 0x53;
+    var SPRITE_BACKGROUND = 0xf7;
+
+
+    /**
+     * Parse a #rgb or #rrggbb colour.
+     * @param {string} hex
+     * @return {Array<number>} Red, green and blue components.
+     */
+    function parseHexColor(hex) {
+        var value = hex.replace('#', '');
+        if (value.length == 3) {
+            value = value.replace(/./g, '$&$&');
+        }
+        var num = parseInt(value, 16);
+        return [(num >> 16) & 255, (num >> 8) & 255, num & 255];
+    }
+
+
+    /**
+     * Get random number.
+     * @param {number} min
+     * @param {number} max
+     * @param {!Random} random Stream to draw from.
+     * @return {number}
+     */
+    function getRandomNum(min, max, random) {
+        return Math.floor(random.next() * (max - min + 1)) + min;
+    }
+
+
+    /**
+     * Position to draw something at between two ticks of the game.
+     * @param {number} from Position after the tick before last.
+     * @param {number} to Position after the last tick.
+     * @param {number=} opt_alpha Part of a tick run since the last one, 0 to 1.
+     * @return {number} The last position when no part is given.
+     */
+    function interpolate(from, to, opt_alpha) {
+        return opt_alpha === undefined ? to : Math.round(from + (to - from) * opt_alpha);
+    }
+
+
+    /**
+     * Seedable pseudo-random number generator (mulberry32). The same seed
+     * always produces the same sequence.
+     * @param {number} seed 32-bit seed.
+     * @constructor
+     */
+    function Random(seed) {
+        this.state = 0;
+        this.setSeed(seed);
+    }
+
+    /**
+     * Mixed into the seed of the scenery stream so it differs from the
+     * course stream.
+     * @const
+     */
+    Random.SCENERY_SALT = 0x9e3779b9;
+
+    /**
+     * Mixed into the seed of the pickup stream.
+     * @const
+     */
+    Random.PICKUP_SALT = 0x85ebca6b;
+
+    /**
+     * Turn a launch seed into a 32-bit seed. Digits are taken as the number
+     * itself, so a logged seed can be replayed; other text is hashed (FNV-1a).
+     * @param {string} text
+     * @return {number}
+     */
+    Random.parseSeed = function (text) {
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+        var hash = 0x811c9dc5;
+        for (var i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    };
+
+    /**
+     * A new seed for a run without a launch seed.
+     * @return {number}
      */
-    function getRandomNum(min, max) {
-        return Math.floor(Math.random() * (max - min + 1)) + min;
-    }
-
+    Random.createSeed = function () {
+        return Math.floor(Math.random() * 0x100000000);
+    };
 
-    // Enhanced vibration function with better mobile support
-    function vibrate(duration) {
-        if (IS_MOBILE && window.navigator.vibrate) {
-            try {
-                window.navigator.vibrate(duration);
-            } catch (error) {
-                console.warn('Vibration not supported:', error);
-            }
-        }
-    }
+    Random.prototype = {
+        /**
+         * @param {number} seed
+         */
+        setSeed: function (seed) {
+            this.state = seed >>> 0;
+        },
 
-    // Enhanced error handling for game initialization
-    function safeGameInit() {
-        try {
-            // Initialize Telegram API first
-            TelegramGameAPI.init();
-            PerformanceManager.init();
-            
-            // Initialize game
-            if (typeof Runner !== 'undefined') {
-                window.gameInstance = new Runner('.interstitial-wrapper');
-                console.log('T-Rex game initialized successfully');
-            } else {
-                throw new Error('Runner class not available');
-            }
-        } catch (error) {
-            console.error('Failed to initialize game:', error);
-            
-            // Show error message to user
-            const errorMsg = document.createElement('div');
-            errorMsg.innerHTML = `
-                <div style="position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); 
-                           background: rgba(255, 0, 0, 0.9); color: white; padding: 20px; 
-                           border-radius: 10px; text-align: center; z-index: 10000;">
-                    <h3>Game Error</h3>
-                    <p>Failed to initialize the game. Please refresh and try again.</p>
-                    <button onclick="location.reload()" style="background: white; color: red; 
-                            border: none; padding: 10px 20px; border-radius: 5px; cursor: pointer;">
-                        Refresh
-                    </button>
-                </div>
-            `;
-            document.body.appendChild(errorMsg);
+        /**
+         * @return {number} A number in [0, 1).
+         */
+        next: function () {
+            var t = this.state = (this.state + 0x6d2b79f5) >>> 0;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
         }
-    }
+    };
 
-    // Telegram-specific initialization
-    function initTelegramGame() {
-        // Check if we're in Telegram WebApp environment
-        const isTelegram = TelegramGameAPI.init();
-        
-        if (isTelegram) {
-            console.log('Initializing in Telegram WebApp environment');
-            
-            // Apply Telegram theme immediately
-            TelegramGameAPI.applyTheme();
-            
-            // Hide browser UI elements that might interfere
-            document.body.classList.add('telegram-webapp');
-            
-            // Optimize for Telegram
-            const messageBox = document.getElementById('messageBox');
-            if (messageBox) {
-                messageBox.style.display = 'none';
-            }
-        }
-        
-        // Initialize game with delay to ensure DOM is ready
-        setTimeout(safeGameInit, 300);
-    }
 
-    // Enhanced initialization with comprehensive error handling
-    document.addEventListener('DOMContentLoaded', function() {
-        try {
-            initTelegramGame();
-        } catch (error) {
-            console.error('Critical initialization error:', error);
-            // Fallback initialization
-            setTimeout(() => {
-                try {
-                    window.gameInstance = new Runner('.interstitial-wrapper');
-                } catch (fallbackError) {
-                    console.error('Fallback initialization failed:', fallbackError);
-                }
-            }, 1000);
-        }
-    });
-    
-    // Handle page visibility changes for better performance
-    document.addEventListener('visibilitychange', function() {
-        if (window.gameInstance) {
-            if (document.hidden) {
-                if (window.gameInstance.playing && !window.gameInstance.crashed) {
-                    window.gameInstance.stop();
-                }
-            } else {
-                if (window.gameInstance.paused && !window.gameInstance.crashed) {
-                    setTimeout(() => {
-                        if (window.gameInstance && window.gameInstance.paused) {
-                            window.gameInstance.play();
-                        }
-                    }, 100);
-                }
-            }
-        }
-    });
-    
     // Handle memory warnings on mobile
     if ('memory' in performance) {
         setInterval(() => {
@@ -2019,10 +6384,16 @@ const PerformanceManager = {
             textSourceX += this.textImgPos.x;
             textSourceY += this.textImgPos.y;
 
-            // Game over text from sprite.
-            this.canvasCtx.drawImage(Runner.imageSprite,
-                textSourceX, textSourceY, textSourceWidth, textSourceHeight,
-                textTargetX, textTargetY, textTargetWidth, textTargetHeight);
+            if (I18n.locale == I18n.DEFAULT_LOCALE) {
+                // Game over text from sprite.
+                this.canvasCtx.drawImage(Runner.imageSprite,
+                    textSourceX, textSourceY, textSourceWidth, textSourceHeight,
+                    textTargetX, textTargetY, textTargetWidth, textTargetHeight);
+            } else {
+                // The sprite only has English text.
+                this.drawText(I18n.t('gameOver.title'), centerX, textTargetY,
+                    textTargetHeight);
+            }
 
             // Restart button.
             this.canvasCtx.drawImage(Runner.imageSprite,
@@ -2030,6 +6401,53 @@ const PerformanceManager = {
                 restartSourceWidth, restartSourceHeight,
                 restartTargetX, restartTargetY, dimensions.RESTART_WIDTH,
                 dimensions.RESTART_HEIGHT);
+        },
+
+        /**
+         * Draw the coins picked up in the run under the restart button.
+         * @param {number} coins
+         */
+        drawCoins: function (coins) {
+            if (!coins) {
+                return;
+            }
+            var text = '+' + coins;
+            var height = DistanceMeter.dimensions.HEIGHT - 2;
+            var y = this.canvasDimensions.HEIGHT / 2 +
+                GameOverPanel.dimensions.RESTART_HEIGHT + 6;
+
+            // The text and the coin after it, centred together.
+            this.canvasCtx.save();
+            this.canvasCtx.font = 'bold ' + (height + 2) + 'px ' +
+                '"Courier New", Courier, monospace';
+            var textWidth = this.canvasCtx.measureText(text).width;
+            this.canvasCtx.restore();
+
+            var x = this.canvasDimensions.WIDTH / 2 -
+                (textWidth + 4 + Coin.config.WIDTH) / 2;
+            this.drawText(text, x + textWidth / 2, y, height);
+            Coin.drawIcon(this.canvasCtx, Math.round(x + textWidth + 4),
+                y + Math.round((height + 2 - Coin.config.HEIGHT) / 2));
+        },
+
+        /**
+         * Draw text in place of a sprite, in the sprite foreground colour.
+         * @param {string} text
+         * @param {number} centerX
+         * @param {number} y
+         * @param {number} height
+         */
+        drawText: function (text, centerX, y, height) {
+            var theme = TelegramGameAPI.app ? TelegramGameAPI.app.themeParams : {};
+
+            this.canvasCtx.save();
+            this.canvasCtx.fillStyle = theme.text_color || '#535353';
+            this.canvasCtx.font = 'bold ' + (height + 2) + 'px ' +
+                '"Courier New", Courier, monospace';
+            this.canvasCtx.textAlign = 'center';
+            this.canvasCtx.textBaseline = 'top';
+            this.canvasCtx.fillText(text, centerX, y);
+            this.canvasCtx.restore();
         }
     };
 
@@ -2052,7 +6470,7 @@ const PerformanceManager = {
         var tRexBox = new CollisionBox(
             tRex.xPos + 1,
             tRex.yPos + 1,
-            tRex.config.WIDTH - 2,
+            (tRex.dashing ? tRex.config.WIDTH_DUCK : tRex.config.WIDTH) - 2,
             tRex.config.HEIGHT - 2);
 
         var obstacleBox = new CollisionBox(
@@ -2069,8 +6487,7 @@ const PerformanceManager = {
         // Simple outer bounds check.
         if (boxCompare(tRexBox, obstacleBox)) {
             var collisionBoxes = obstacle.collisionBoxes;
-            var tRexCollisionBoxes = tRex.ducking ?
-                Trex.collisionBoxes.DUCKING : Trex.collisionBoxes.RUNNING;
+            var tRexCollisionBoxes = tRex.getCollisionBoxes();
 
             // Detailed axis aligned box check.
             for (var t = 0; t < tRexCollisionBoxes.length; t++) {
@@ -2097,6 +6514,50 @@ const PerformanceManager = {
     };
 
 
+    /**
+     * Check whether the T-rex passes within a margin of an obstacle without
+     * touching it.
+     * @param {!Obstacle} obstacle
+     * @param {!Trex} tRex T-rex object.
+     * @param {number} margin Distance in pixels that still counts as near.
+     * @return {boolean}
+     */
+    function checkForNearMiss(obstacle, tRex, margin) {
+        var tRexBox = new CollisionBox(
+            tRex.xPos + 1,
+            tRex.yPos + 1,
+            (tRex.dashing ? tRex.config.WIDTH_DUCK : tRex.config.WIDTH) - 2,
+            tRex.config.HEIGHT - 2);
+
+        var obstacleBox = new CollisionBox(
+            obstacle.xPos + 1,
+            obstacle.yPos + 1,
+            obstacle.typeConfig.width * obstacle.size - 2,
+            obstacle.typeConfig.height - 2);
+
+        var collisionBoxes = obstacle.collisionBoxes;
+        var tRexCollisionBoxes = tRex.getCollisionBoxes();
+
+        for (var t = 0; t < tRexCollisionBoxes.length; t++) {
+            var adjTrexBox =
+                createAdjustedCollisionBox(tRexCollisionBoxes[t], tRexBox);
+            var nearBox = new CollisionBox(
+                adjTrexBox.x - margin,
+                adjTrexBox.y - margin,
+                adjTrexBox.width + margin * 2,
+                adjTrexBox.height + margin * 2);
+
+            for (var i = 0; i < collisionBoxes.length; i++) {
+                if (boxCompare(nearBox,
+                    createAdjustedCollisionBox(collisionBoxes[i], obstacleBox))) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    };
+
+
     /**
      * Adjust the collision box.
      * @param {!CollisionBox} box The original box.
@@ -2180,22 +6641,30 @@ const PerformanceManager = {
      * @param {Object} dimensions
      * @param {number} gapCoefficient Mutipler in determining the gap.
      * @param {number} speed
+     * @param {!Random} random Course random stream.
      * @param {number} opt_xOffset
      */
     function Obstacle(canvasCtx, type, spriteImgPos, dimensions,
-        gapCoefficient, speed, opt_xOffset) {
+        gapCoefficient, speed, random, opt_xOffset) {
 
         this.canvasCtx = canvasCtx;
         this.spritePos = spriteImgPos;
         this.typeConfig = type;
         this.gapCoefficient = gapCoefficient;
-        this.size = getRandomNum(1, Obstacle.MAX_OBSTACLE_LENGTH);
+        this.random = random;
+        this.size = getRandomNum(1, Obstacle.MAX_OBSTACLE_LENGTH, random);
         this.dimensions = dimensions;
         this.remove = false;
         this.xPos = dimensions.WIDTH + (opt_xOffset || 0);
+        // Position after the tick before, drawn from.
+        this.lastXPos = this.xPos;
         this.yPos = 0;
         this.width = 0;
         this.collisionBoxes = [];
+        this.nearMiss = false;
+        this.cleared = false;
+        // Run through with a shield, and no longer collided with.
+        this.shielded = false;
         this.gap = 0;
         this.speedOffset = 0;
 
@@ -2238,13 +6707,12 @@ const PerformanceManager = {
                 if (Array.isArray(this.typeConfig.yPos)) {
                     var yPosConfig = IS_MOBILE ? this.typeConfig.yPosMobile :
                         this.typeConfig.yPos;
-                    this.yPos = yPosConfig[getRandomNum(0, yPosConfig.length - 1)];
+                    this.yPos = yPosConfig[getRandomNum(0, yPosConfig.length - 1,
+                        this.random)];
                 } else {
                     this.yPos = this.typeConfig.yPos;
                 }
 
-                this.draw();
-
                 // Make collision box adjustments,
                 // Central box is adjusted to the size as one box.
                 //      ____        ______        ________
@@ -2261,7 +6729,7 @@ const PerformanceManager = {
 
                 // For obstacles that go at a different speed from the horizon.
                 if (this.typeConfig.speedOffset) {
-                    this.speedOffset = Math.random() > 0.5 ? this.typeConfig.speedOffset :
+                    this.speedOffset = this.random.next() > 0.5 ? this.typeConfig.speedOffset :
                         -this.typeConfig.speedOffset;
                 }
 
@@ -2270,8 +6738,9 @@ const PerformanceManager = {
 
             /**
              * Draw and crop based on size.
+             * @param {number=} opt_alpha See Runner#draw.
              */
-            draw: function () {
+            draw: function (opt_alpha) {
                 var sourceWidth = this.typeConfig.width;
                 var sourceHeight = this.typeConfig.height;
 
@@ -2292,7 +6761,7 @@ const PerformanceManager = {
                 this.canvasCtx.drawImage(Runner.imageSprite,
                     sourceX, this.spritePos.y,
                     sourceWidth * this.size, sourceHeight,
-                    this.xPos, this.yPos,
+                    interpolate(this.lastXPos, this.xPos, opt_alpha), this.yPos,
                     this.typeConfig.width * this.size, this.typeConfig.height);
             },
 
@@ -2306,6 +6775,7 @@ const PerformanceManager = {
                     if (this.typeConfig.speedOffset) {
                         speed += this.speedOffset;
                     }
+                    this.lastXPos = this.xPos;
                     this.xPos -= Math.floor((speed * FPS / 1000) * deltaTime);
 
                     // Update frame
@@ -2318,7 +6788,6 @@ const PerformanceManager = {
                             this.timer = 0;
                         }
                     }
-                    this.draw();
 
                     if (!this.isVisible()) {
                         this.remove = true;
@@ -2337,7 +6806,7 @@ const PerformanceManager = {
                 var minGap = Math.round(this.width * speed +
                     this.typeConfig.minGap * gapCoefficient);
                 var maxGap = Math.round(minGap * Obstacle.MAX_GAP_COEFFICIENT);
-                return getRandomNum(minGap, maxGap);
+                return getRandomNum(minGap, maxGap, this.random);
             },
 
             /**
@@ -2400,27 +6869,369 @@ const PerformanceManager = {
                 new CollisionBox(13, 10, 10, 38)
             ]
         },
-        {
-            type: 'PTERODACTYL',
-            width: 46,
-            height: 40,
-            yPos: [100, 75, 50], // Variable height.
-            yPosMobile: [100, 50], // Variable height mobile.
-            multipleSpeed: 999,
-            minSpeed: 8.5,
-            minGap: 150,
-            collisionBoxes: [
-                new CollisionBox(15, 15, 16, 5),
-                new CollisionBox(18, 21, 24, 6),
-                new CollisionBox(2, 14, 4, 3),
-                new CollisionBox(6, 10, 4, 7),
-                new CollisionBox(10, 8, 6, 9)
-            ],
-            numFrames: 2,
-            frameRate: 1000 / 6,
-            speedOffset: .8
+        {
+            type: 'PTERODACTYL',
+            width: 46,
+            height: 40,
+            yPos: [100, 75, 50], // Variable height.
+            yPosMobile: [100, 50], // Variable height mobile.
+            multipleSpeed: 999,
+            minSpeed: 8.5,
+            minGap: 150,
+            collisionBoxes: [
+                new CollisionBox(15, 15, 16, 5),
+                new CollisionBox(18, 21, 24, 6),
+                new CollisionBox(2, 14, 4, 3),
+                new CollisionBox(6, 10, 4, 7),
+                new CollisionBox(10, 8, 6, 9)
+            ],
+            numFrames: 2,
+            frameRate: 1000 / 6,
+            speedOffset: .8
+        }
+    ];
+
+
+    //******************************************************************************
+    /**
+     * Power-up pickup. Moves with the ground like an obstacle and is picked
+     * up by touching it, checked with checkForCollision.
+     * @param {CanvasRenderingContext2D} canvasCtx
+     * @param {string} type Key of PowerUp.types.
+     * @param {number} xPos
+     * @param {number} yPos
+     * @constructor
+     */
+    function PowerUp(canvasCtx, type, xPos, yPos) {
+        this.canvasCtx = canvasCtx;
+        this.type = type;
+        this.typeConfig = Object.assign({
+            width: PowerUp.config.WIDTH,
+            height: PowerUp.config.HEIGHT
+        }, PowerUp.types[type]);
+        // Obstacle fields checkForCollision reads.
+        this.size = 1;
+        this.collisionBoxes = [
+            new CollisionBox(0, 0, PowerUp.config.WIDTH, PowerUp.config.HEIGHT)
+        ];
+        this.xPos = xPos;
+        this.lastXPos = xPos;
+        this.yPos = yPos;
+        this.remove = false;
+    };
+
+
+    /**
+     * Power-up config.
+     * Y_POS: Heights a power-up is placed at, on the ground or a jump up.
+     * EXPIRY_WARNING: Time left in ms from which an effect blinks.
+     * @enum {number|Array<number>}
+     */
+    PowerUp.config = {
+        WIDTH: 20,
+        HEIGHT: 20,
+        Y_POS: [112, 62],
+        EXPIRY_WARNING: 2000
+    };
+
+
+    /**
+     * Power-up definitions.
+     * label: Drawn on the pickup and shown in the HUD.
+     * duration: Time in ms the effect lasts.
+     * speedFactor: Speed of the world while in effect.
+     * scoreFactor: Points scored per unit of distance while in effect.
+     * absorbsCrash: Whether it takes one crash, and then ends.
+     * attractsCoins: Whether it pulls nearby coins in.
+     * @enum {Object}
+     */
+    PowerUp.types = {
+        SHIELD: {
+            label: 'S',
+            duration: 10000,
+            absorbsCrash: true
+        },
+        SLOW_MOTION: {
+            label: '½',
+            duration: 5000,
+            speedFactor: 0.5
+        },
+        MULTIPLIER: {
+            label: '×2',
+            duration: 8000,
+            scoreFactor: 2
+        },
+        MAGNET: {
+            label: 'M',
+            duration: 8000,
+            attractsCoins: true
+        }
+    };
+
+
+    PowerUp.prototype = {
+        /**
+         * @param {number} deltaTime
+         * @param {number} speed
+         */
+        update: function (deltaTime, speed) {
+            this.lastXPos = this.xPos;
+            this.xPos -= Math.floor((speed * FPS / 1000) * deltaTime);
+            if (this.xPos + this.typeConfig.width < 0) {
+                this.remove = true;
+            }
+        },
+
+        /**
+         * Draw a box with the power-up's label, in the sprite foreground
+         * colour.
+         * @param {number=} opt_alpha See Runner#draw.
+         */
+        draw: function (opt_alpha) {
+            var theme = TelegramGameAPI.app ? TelegramGameAPI.app.themeParams : {};
+            var ctx = this.canvasCtx;
+            var width = this.typeConfig.width;
+            var height = this.typeConfig.height;
+            var xPos = Math.round(interpolate(this.lastXPos, this.xPos, opt_alpha));
+
+            ctx.save();
+            ctx.strokeStyle = ctx.fillStyle = theme.text_color || '#535353';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(xPos + 1, this.yPos + 1, width - 2, height - 2);
+            ctx.font = 'bold 11px "Courier New", Courier, monospace';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(this.typeConfig.label, xPos + width / 2,
+                this.yPos + height / 2 + 1);
+            ctx.restore();
+        }
+    };
+
+
+    /**
+     * Power-up effects in play and the time left on each. The Runner and each
+     * ghost keep their own.
+     * @constructor
+     */
+    function PowerUpEffects() {
+        // Time left in ms, keyed by PowerUp.types key.
+        this.timers = {};
+    };
+
+
+    PowerUpEffects.prototype = {
+        /**
+         * Start an effect. Picking up one already in effect restarts it.
+         * @param {string} type Key of PowerUp.types. Unknown types, from
+         *     edited recordings, are ignored.
+         */
+        activate: function (type) {
+            if (PowerUp.types.hasOwnProperty(type)) {
+                this.timers[type] = PowerUp.types[type].duration;
+            }
+        },
+
+        /**
+         * Run down the timers and end expired effects.
+         * @param {number} deltaTime
+         */
+        update: function (deltaTime) {
+            for (var type in this.timers) {
+                this.timers[type] -= deltaTime;
+                if (this.timers[type] <= 0) {
+                    delete this.timers[type];
+                }
+            }
+        },
+
+        reset: function () {
+            this.timers = {};
+        },
+
+        /**
+         * @param {string} type
+         * @return {boolean}
+         */
+        isActive: function (type) {
+            return this.timers.hasOwnProperty(type);
+        },
+
+        /**
+         * @param {string} type
+         * @return {number} Time left in ms, 0 when not in effect.
+         */
+        getRemaining: function (type) {
+            return this.timers[type] || 0;
+        },
+
+        /**
+         * @param {string} type
+         * @return {boolean} Whether the effect is about to end.
+         */
+        isExpiring: function (type) {
+            return this.isActive(type) &&
+                this.timers[type] < PowerUp.config.EXPIRY_WARNING;
+        },
+
+        /**
+         * @param {string} type
+         * @return {string} Label shown for the power-up.
+         */
+        getLabel: function (type) {
+            return PowerUp.types[type].label;
+        },
+
+        /**
+         * @return {Array<string>} Types in effect, in PowerUp.types order.
+         */
+        getActive: function () {
+            return Object.keys(PowerUp.types).filter(this.isActive, this);
+        },
+
+        /**
+         * Use up an effect that takes a crash.
+         * @return {boolean} Whether the crash was taken.
+         */
+        absorbCrash: function () {
+            var type = this.getActive().find(function (type) {
+                return PowerUp.types[type].absorbsCrash;
+            });
+
+            if (!type) {
+                return false;
+            }
+            delete this.timers[type];
+            return true;
+        },
+
+        /**
+         * @return {boolean} Whether an effect pulls coins in.
+         */
+        attractsCoins: function () {
+            return this.getActive().some(function (type) {
+                return PowerUp.types[type].attractsCoins;
+            });
+        },
+
+        /**
+         * @return {number} Factor applied to the speed of the world.
+         */
+        getSpeedFactor: function () {
+            return this.getFactor('speedFactor');
+        },
+
+        /**
+         * @return {number} Points per unit of distance.
+         */
+        getScoreFactor: function () {
+            return this.getFactor('scoreFactor');
+        },
+
+        /**
+         * @param {string} name Factor field of PowerUp.types.
+         * @return {number} The product of the factor over effects in play.
+         */
+        getFactor: function (name) {
+            return this.getActive().reduce(function (factor, type) {
+                return factor * (PowerUp.types[type][name] || 1);
+            }, 1);
+        }
+    };
+
+
+    //******************************************************************************
+    /**
+     * Coin pickup. Moves with the ground and is picked up by touching it,
+     * checked with checkForCollision.
+     * @param {CanvasRenderingContext2D} canvasCtx
+     * @param {number} xPos
+     * @param {number} yPos
+     * @constructor
+     */
+    function Coin(canvasCtx, xPos, yPos) {
+        this.canvasCtx = canvasCtx;
+        // Obstacle fields checkForCollision reads.
+        this.typeConfig = { width: Coin.config.WIDTH, height: Coin.config.HEIGHT };
+        this.size = 1;
+        this.collisionBoxes = [
+            new CollisionBox(0, 0, Coin.config.WIDTH, Coin.config.HEIGHT)
+        ];
+        this.xPos = xPos;
+        this.yPos = yPos;
+        // Position after the tick before, drawn from. A magnet moves coins
+        // up and down too.
+        this.lastXPos = xPos;
+        this.lastYPos = yPos;
+        this.remove = false;
+    };
+
+
+    /**
+     * Coin config.
+     * MIN_COUNT, MAX_COUNT: Coins in a line.
+     * SPACING: Distance in px between coins in a line.
+     * HEAD_Y: Height of the T-rex's head below its yPos, coins are lined up
+     *     with.
+     * MAGNET_RANGE: Distance in px from which a magnet pulls coins.
+     * MAGNET_SPEED: Distance in px a magnet pulls a coin each tick.
+     * @enum {number}
+     */
+    Coin.config = {
+        WIDTH: 10,
+        HEIGHT: 10,
+        MIN_COUNT: 3,
+        MAX_COUNT: 5,
+        SPACING: 18,
+        HEAD_Y: 8,
+        MAGNET_RANGE: 120,
+        MAGNET_SPEED: 8
+    };
+
+
+    /**
+     * Draw a coin, in the sprite foreground colour.
+     * @param {CanvasRenderingContext2D} canvasCtx
+     * @param {number} x
+     * @param {number} y
+     */
+    Coin.drawIcon = function (canvasCtx, x, y) {
+        var theme = TelegramGameAPI.app ? TelegramGameAPI.app.themeParams : {};
+        var radius = Coin.config.WIDTH / 2;
+
+        canvasCtx.save();
+        canvasCtx.strokeStyle = canvasCtx.fillStyle = theme.text_color || '#535353';
+        canvasCtx.lineWidth = 2;
+        canvasCtx.beginPath();
+        canvasCtx.arc(x + radius, y + radius, radius - 1, 0, 2 * Math.PI);
+        canvasCtx.stroke();
+        canvasCtx.fillRect(x + radius - 1, y + 3, 2, Coin.config.HEIGHT - 6);
+        canvasCtx.restore();
+    };
+
+
+    Coin.prototype = {
+        /**
+         * @param {number} deltaTime
+         * @param {number} speed
+         */
+        update: function (deltaTime, speed) {
+            this.lastXPos = this.xPos;
+            this.lastYPos = this.yPos;
+            this.xPos -= Math.floor((speed * FPS / 1000) * deltaTime);
+            if (this.xPos + Coin.config.WIDTH < 0) {
+                this.remove = true;
+            }
+        },
+
+        /**
+         * @param {number=} opt_alpha See Runner#draw.
+         */
+        draw: function (opt_alpha) {
+            Coin.drawIcon(this.canvasCtx,
+                Math.round(interpolate(this.lastXPos, this.xPos, opt_alpha)),
+                Math.round(interpolate(this.lastYPos, this.yPos, opt_alpha)));
         }
-    ];
+    };
 
 
     //******************************************************************************
@@ -2428,14 +7239,19 @@ const PerformanceManager = {
      * T-rex game character.
      * @param {HTMLCanvas} canvas
      * @param {Object} spritePos Positioning within image sprite.
+     * @param {!Random} random Scenery random stream, for blinking.
      * @constructor
      */
-    function Trex(canvas, spritePos) {
+    function Trex(canvas, spritePos, random) {
         this.canvas = canvas;
         this.canvasCtx = canvas.getContext('2d');
         this.spritePos = spritePos;
+        this.random = random;
         this.xPos = 0;
         this.yPos = 0;
+        // Position after the tick before, drawn from.
+        this.lastXPos = 0;
+        this.lastYPos = 0;
         // Position when on the ground.
         this.groundYPos = 0;
         this.currentFrame = 0;
@@ -2456,6 +7272,19 @@ const PerformanceManager = {
         this.speedDrop = false;
         this.jumpCount = 0;
         this.jumpspotX = 0;
+        // Second jump used in the current jump.
+        this.doubleJumped = false;
+        this.dashing = false;
+        // Time left of the air dash under way.
+        this.dashTimer = 0;
+        // Pixels ahead of the running position an air dash left it.
+        this.dashLead = 0;
+        this.lastDashLead = 0;
+        // Time until each ability can be used again.
+        this.doubleJumpCooldown = 0;
+        this.dashCooldown = 0;
+        // Below 1 for a ghost, 0 to not draw at all.
+        this.opacity = 1;
 
         this.init();
     };
@@ -2466,9 +7295,21 @@ const PerformanceManager = {
      * @enum {number}
      */
     Trex.config = {
+        // Air dash: ms gravity holds off for, pixels per frame it moves
+        // forward, ms before the next one, and pixels per frame it drifts
+        // back to START_X_POS at once landed.
+        DASH_COOLDOWN: 2000,
+        DASH_DURATION: 200,
+        DASH_RETURN_SPEED: 1,
+        DASH_SPEED: 5,
+        // Second jump from the air, once per jump.
+        DOUBLE_JUMP_COOLDOWN: 1000,
+        DOUBLE_JUMP_VELOCITY: -8,
         DROP_VELOCITY: -5,
         GRAVITY: 0.6,
         HEIGHT: 47,
+        // Rows of the ducking frame above the legs, drawn in an air dash.
+        HEIGHT_DASH: 39,
         HEIGHT_DUCK: 25,
         INIITAL_JUMP_VELOCITY: -10,
         INTRO_DURATION: 1500,
@@ -2482,11 +7323,56 @@ const PerformanceManager = {
     };
 
 
+    /**
+     * @return {number} yPos of the T-rex on the ground.
+     */
+    Trex.getGroundYPos = function () {
+        return Runner.defaultDimensions.HEIGHT - Trex.config.HEIGHT -
+            Runner.config.BOTTOM_PAD;
+    };
+
+
+    /**
+     * Heights of the T-rex in each tick of a jump left to run its course, as
+     * updateJump moves it. A jump cut short by releasing the key early ends
+     * the same way.
+     * @param {number} speed Speed the jump starts at.
+     * @return {Array<number>} yPos after each tick in the air.
+     */
+    Trex.getJumpPath = function (speed) {
+        var config = Trex.config;
+        var groundYPos = Trex.getGroundYPos();
+        var yPos = groundYPos;
+        var jumpVelocity = config.INIITAL_JUMP_VELOCITY - (speed / 10);
+        var path = [];
+
+        while (true) {
+            yPos += Math.round(jumpVelocity);
+            jumpVelocity += config.GRAVITY;
+            if (yPos < config.MAX_JUMP_HEIGHT && jumpVelocity < config.DROP_VELOCITY) {
+                jumpVelocity = config.DROP_VELOCITY;
+            }
+            if (yPos > groundYPos) {
+                return path;
+            }
+            path.push(yPos);
+        }
+    };
+
+
     /**
      * Used in collision detection.
      * @type {Array<CollisionBox>}
      */
     Trex.collisionBoxes = {
+        // Stretched out like ducking, tail and legs tucked up.
+        DASHING: [
+            new CollisionBox(1, 18, 55, 21)
+        ],
+        // Curled up in a somersault, whichever way it faces.
+        DOUBLE_JUMPING: [
+            new CollisionBox(8, 8, 28, 31)
+        ],
         DUCKING: [
             new CollisionBox(1, 18, 55, 25)
         ],
@@ -2507,6 +7393,8 @@ const PerformanceManager = {
      */
     Trex.status = {
         CRASHED: 'CRASHED',
+        DASHING: 'DASHING',
+        DOUBLE_JUMPING: 'DOUBLE_JUMPING',
         DUCKING: 'DUCKING',
         JUMPING: 'JUMPING',
         RUNNING: 'RUNNING',
@@ -2544,20 +7432,41 @@ const PerformanceManager = {
         DUCKING: {
             frames: [264, 323],
             msPerFrame: 1000 / 8
+        },
+        // A somersault: the jumping frame, turned a quarter further each
+        // frame.
+        DOUBLE_JUMPING: {
+            frames: [0, 0, 0, 0],
+            turns: [0.25, 0.5, 0.75, 0],
+            msPerFrame: 1000 / 20
+        },
+        // Stretched out with the legs tucked up: the ducking body without
+        // its legs, trailing speed lines of the lengths given per row.
+        DASHING: {
+            frames: [264, 264],
+            streaks: [[10, 16, 8], [14, 8, 12]],
+            msPerFrame: 1000 / 30
         }
     };
 
 
+    /**
+     * Rows of the speed lines an air dash trails, from the top of the T-rex.
+     * @type {Array<number>}
+     */
+    Trex.DASH_STREAK_ROWS = [23, 28, 33];
+
+
     Trex.prototype = {
         /**
          * T-rex player initaliser.
          * Sets the t-rex to blink at random intervals.
          */
         init: function () {
-            this.groundYPos = Runner.defaultDimensions.HEIGHT - this.config.HEIGHT -
-                Runner.config.BOTTOM_PAD;
+            this.groundYPos = Trex.getGroundYPos();
             this.yPos = this.groundYPos;
             this.minJumpHeight = this.groundYPos - this.config.MIN_JUMP_HEIGHT;
+            this.savePosition();
 
             this.draw(0, 0);
             this.update(0, Trex.status.WAITING);
@@ -2599,10 +7508,9 @@ const PerformanceManager = {
                     this.config.INTRO_DURATION) * deltaTime);
             }
 
+            // Running is drawn by Runner#draw.
             if (this.status == Trex.status.WAITING) {
                 this.blink(getTimeStamp());
-            } else {
-                this.draw(this.currentAnimFrames[this.currentFrame], 0);
             }
 
             // Update the frame position.
@@ -2623,13 +7531,24 @@ const PerformanceManager = {
          * Draw the t-rex to a particular position.
          * @param {number} x
          * @param {number} y
+         * @param {number=} opt_alpha See Runner#draw.
          */
-        draw: function (x, y) {
+        draw: function (x, y, opt_alpha) {
+            if (!this.opacity) {
+                return;
+            }
+            var xPos = interpolate(this.lastXPos, this.xPos, opt_alpha);
+            var yPos = interpolate(this.lastYPos, this.yPos, opt_alpha);
             var sourceX = x;
             var sourceY = y;
-            var sourceWidth = this.ducking && this.status != Trex.status.CRASHED ?
-                this.config.WIDTH_DUCK : this.config.WIDTH;
-            var sourceHeight = this.config.HEIGHT;
+            var pose = Trex.animFrames[this.status];
+            // An air dash is drawn stretched out, with the ducking body.
+            var isWide = (this.ducking || this.dashing) &&
+                this.status != Trex.status.CRASHED;
+            var isDashing = this.dashing && this.status != Trex.status.CRASHED;
+            var sourceWidth = isWide ? this.config.WIDTH_DUCK : this.config.WIDTH;
+            var sourceHeight = isDashing ? this.config.HEIGHT_DASH : this.config.HEIGHT;
+            var height = sourceHeight;
 
             if (IS_HIDPI) {
                 sourceX *= 2;
@@ -2642,30 +7561,73 @@ const PerformanceManager = {
             sourceX += this.spritePos.x;
             sourceY += this.spritePos.y;
 
+            if (this.opacity < 1) {
+                this.canvasCtx.save();
+                this.canvasCtx.globalAlpha = this.opacity;
+            }
+
             // Ducking.
-            if (this.ducking && this.status != Trex.status.CRASHED) {
+            if (isWide) {
                 this.canvasCtx.drawImage(Runner.imageSprite, sourceX, sourceY,
                     sourceWidth, sourceHeight,
-                    this.xPos, this.yPos,
-                    this.config.WIDTH_DUCK, this.config.HEIGHT);
+                    xPos, yPos,
+                    this.config.WIDTH_DUCK, height);
+                if (isDashing) {
+                    this.drawDashStreaks(xPos, yPos, pose.streaks[this.currentFrame]);
+                }
+            } else if (pose && pose.turns && pose.turns[this.currentFrame]) {
+                // Turned about its middle.
+                this.canvasCtx.save();
+                this.canvasCtx.translate(xPos + this.config.WIDTH / 2,
+                    yPos + this.config.HEIGHT / 2);
+                this.canvasCtx.rotate(pose.turns[this.currentFrame] * 2 * Math.PI);
+                this.canvasCtx.drawImage(Runner.imageSprite, sourceX, sourceY,
+                    sourceWidth, sourceHeight,
+                    -this.config.WIDTH / 2, -this.config.HEIGHT / 2,
+                    this.config.WIDTH, this.config.HEIGHT);
+                this.canvasCtx.restore();
             } else {
                 // Crashed whilst ducking. Trex is standing up so needs adjustment.
                 if (this.ducking && this.status == Trex.status.CRASHED) {
-                    this.xPos++;
+                    xPos = ++this.xPos;
                 }
                 // Standing / running
                 this.canvasCtx.drawImage(Runner.imageSprite, sourceX, sourceY,
                     sourceWidth, sourceHeight,
-                    this.xPos, this.yPos,
+                    xPos, yPos,
                     this.config.WIDTH, this.config.HEIGHT);
             }
+
+            if (this.opacity < 1) {
+                this.canvasCtx.restore();
+            }
+        },
+
+        /**
+         * Draw the speed lines trailing an air dash, ending a little behind
+         * the T-rex.
+         * @param {number} xPos
+         * @param {number} yPos
+         * @param {Array<number>} lengths Length of the line on each row.
+         */
+        drawDashStreaks: function (xPos, yPos, lengths) {
+            var theme = TelegramGameAPI.app ? TelegramGameAPI.app.themeParams : {};
+            var ctx = this.canvasCtx;
+
+            ctx.save();
+            ctx.fillStyle = theme.text_color || '#535353';
+            Trex.DASH_STREAK_ROWS.forEach(function (row, index) {
+                ctx.fillRect(Math.round(xPos) - 3 - lengths[index], Math.round(yPos) + row,
+                    lengths[index], 2);
+            });
+            ctx.restore();
         },
 
         /**
          * Sets a random time for the blink to happen.
          */
         setBlinkDelay: function () {
-            this.blinkDelay = Math.ceil(Math.random() * Trex.BLINK_TIMING);
+            this.blinkDelay = Math.ceil(this.random.next() * Trex.BLINK_TIMING);
         },
 
         /**
@@ -2687,6 +7649,15 @@ const PerformanceManager = {
             }
         },
 
+        /**
+         * Keep the position of the tick about to run, to draw from.
+         */
+        savePosition: function () {
+            this.lastXPos = this.xPos;
+            this.lastYPos = this.yPos;
+            this.lastDashLead = this.dashLead;
+        },
+
         /**
          * Initialise a jump.
          * @param {number} speed
@@ -2718,9 +7689,24 @@ const PerformanceManager = {
          * @param {number} speed
          */
         updateJump: function (deltaTime, speed) {
-            var msPerFrame = Trex.animFrames[this.status].msPerFrame;
+            // The air states animate at their own rates, the jump always
+            // moves at the jumping one.
+            var msPerFrame = Trex.animFrames.JUMPING.msPerFrame;
             var framesElapsed = deltaTime / msPerFrame;
 
+            // Gravity holds off while dashing.
+            if (this.dashing) {
+                var step = Math.round(this.config.DASH_SPEED * framesElapsed);
+                this.xPos += step;
+                this.dashLead += step;
+                this.dashTimer -= deltaTime;
+                if (this.dashTimer <= 0) {
+                    this.endDash();
+                }
+                this.update(deltaTime);
+                return;
+            }
+
             // Speed drop makes Trex fall faster.
             if (this.speedDrop) {
                 this.yPos += Math.round(this.jumpVelocity *
@@ -2751,9 +7737,107 @@ const PerformanceManager = {
         },
 
         /**
-         * Set the speed drop. Immediately cancels the current jump.
+         * Jump again in mid-air, once per jump. The second jump has its own
+         * velocity, and a minimum height counted from where it starts.
+         * @param {number} speed
+         * @return {boolean} Whether the T-rex jumped.
+         */
+        startDoubleJump: function (speed) {
+            if (!this.jumping || this.doubleJumped || this.dashing ||
+                this.doubleJumpCooldown > 0) {
+                return false;
+            }
+            this.update(0, Trex.status.DOUBLE_JUMPING);
+            // No faster than would carry it past the top of the canvas.
+            this.jumpVelocity = Math.max(
+                this.config.DOUBLE_JUMP_VELOCITY - (speed / 10),
+                -Math.sqrt(2 * this.config.GRAVITY * Math.max(0, this.yPos)));
+            this.minJumpHeight = this.yPos - this.config.MIN_JUMP_HEIGHT;
+            this.reachedMinHeight = false;
+            this.speedDrop = false;
+            this.doubleJumped = true;
+            this.doubleJumpCooldown = this.config.DOUBLE_JUMP_COOLDOWN;
+            return true;
+        },
+
+        /**
+         * Dash forward in mid-air, holding height for DASH_DURATION. The
+         * T-rex keeps the lead it gains until it lands.
+         * @return {boolean} Whether the T-rex dashed.
+         */
+        startDash: function () {
+            if (!this.jumping || this.dashing || this.dashCooldown > 0) {
+                return false;
+            }
+            this.update(0, Trex.status.DASHING);
+            this.dashing = true;
+            this.dashTimer = this.config.DASH_DURATION;
+            this.dashCooldown = this.config.DASH_COOLDOWN;
+            this.speedDrop = false;
+            return true;
+        },
+
+        /**
+         * Dash is over, carry on with the jump.
+         */
+        endDash: function () {
+            if (this.dashing) {
+                this.dashing = false;
+                this.dashTimer = 0;
+                this.update(0, this.doubleJumped ?
+                    Trex.status.DOUBLE_JUMPING : Trex.status.JUMPING);
+            }
+        },
+
+        /**
+         * Count down the ability cooldowns, and drift back from a dash's
+         * lead while on the ground. Once per tick.
+         * @param {number} deltaTime
+         */
+        updateAbilities: function (deltaTime) {
+            this.doubleJumpCooldown = Math.max(0, this.doubleJumpCooldown - deltaTime);
+            this.dashCooldown = Math.max(0, this.dashCooldown - deltaTime);
+
+            if (this.dashLead > 0 && !this.jumping) {
+                var step = Math.min(this.dashLead, Math.round(
+                    this.config.DASH_RETURN_SPEED * deltaTime / (1000 / FPS)));
+                this.xPos -= step;
+                this.dashLead -= step;
+            }
+        },
+
+        /**
+         * Clear the cooldowns and any dash lead, for a new run.
+         */
+        resetAbilities: function () {
+            this.endDash();
+            this.xPos -= this.dashLead;
+            this.dashLead = 0;
+            this.doubleJumpCooldown = 0;
+            this.dashCooldown = 0;
+            this.savePosition();
+        },
+
+        /**
+         * @return {Array<CollisionBox>} Boxes for the current pose.
+         */
+        getCollisionBoxes: function () {
+            if (this.ducking) {
+                return Trex.collisionBoxes.DUCKING;
+            }
+            if (this.status == Trex.status.DOUBLE_JUMPING) {
+                return Trex.collisionBoxes.DOUBLE_JUMPING;
+            }
+            return this.dashing ? Trex.collisionBoxes.DASHING :
+                Trex.collisionBoxes.RUNNING;
+        },
+
+        /**
+         * Set the speed drop. Immediately cancels the current jump, and a
+         * dash under way.
          */
         setSpeedDrop: function () {
+            this.endDash();
             this.speedDrop = true;
             this.jumpVelocity = 1;
         },
@@ -2776,13 +7860,188 @@ const PerformanceManager = {
          */
         reset: function () {
             this.yPos = this.groundYPos;
+            this.minJumpHeight = this.groundYPos - this.config.MIN_JUMP_HEIGHT;
             this.jumpVelocity = 0;
             this.jumping = false;
             this.ducking = false;
+            this.doubleJumped = false;
+            this.dashing = false;
+            this.dashTimer = 0;
             this.update(0, Trex.status.RUNNING);
             this.midair = false;
             this.speedDrop = false;
             this.jumpCount = 0;
+            this.savePosition();
+        }
+    };
+
+
+    //******************************************************************************
+
+    /**
+     * Translucent T-rex repeating a recorded run alongside the live one, tick
+     * for tick. It follows the recorded input only, never the obstacles, so
+     * it cannot collide; it stops where the recorded run crashed.
+     * @param {!HTMLCanvasElement} canvas
+     * @param {Object} spritePos T-rex position in the sprite.
+     * @param {Object} recording Run recording, see Runner#startRecording.
+     * @constructor
+     */
+    function Ghost(canvas, spritePos, recording) {
+        this.recording = recording;
+        this.config = Object.assign({}, Runner.config, recording.config);
+        this.tRex = new Trex(canvas, spritePos, new Random(recording.seed));
+        this.tRex.opacity = 0;
+        this.tRex.reset();
+
+        // Recorded ticks run so far.
+        this.steps = 0;
+        this.eventIndex = 0;
+
+        this.distanceRan = 0;
+        this.bonusScore = 0;
+        this.powerUps = new PowerUpEffects();
+        this.currentSpeed = this.config.SPEED;
+        // As Runner#setSpeed on smaller screens.
+        if (recording.width < DEFAULT_WIDTH) {
+            this.currentSpeed = Math.min(this.currentSpeed, this.currentSpeed *
+                recording.width / DEFAULT_WIDTH * this.config.MOBILE_SPEED_COEFFICIENT);
+        }
+        this.activated = recording.activated;
+        this.playingIntro = false;
+        this.crashed = false;
+    };
+
+
+    /**
+     * Ghost config.
+     * @enum {number}
+     */
+    Ghost.config = {
+        OPACITY: 0.3
+    };
+
+
+    Ghost.prototype = {
+        /**
+         * Run the next recorded tick the way Runner#tick ran it.
+         * @param {number} deltaTime
+         */
+        update: function (deltaTime) {
+            var events = this.recording.events;
+
+            if (this.crashed) {
+                return;
+            }
+            while (this.eventIndex < events.length &&
+                events[this.eventIndex][0] <= this.steps) {
+                this.applyEvent(events[this.eventIndex][1],
+                    events[this.eventIndex][2]);
+                this.eventIndex++;
+            }
+            this.steps++;
+            this.tRex.savePosition();
+            this.tRex.updateAbilities(deltaTime);
+
+            if (this.tRex.jumping) {
+                this.tRex.updateJump(deltaTime);
+            }
+
+            // First jump triggers the intro.
+            if (this.tRex.jumpCount == 1 && !this.playingIntro && !this.activated) {
+                this.playingIntro = true;
+                this.activated = true;
+            }
+
+            // The recorded run crashed in its last tick.
+            if (this.steps >= this.recording.steps) {
+                this.crashed = true;
+                this.tRex.update(100, Trex.status.CRASHED);
+                return;
+            }
+
+            deltaTime = this.playingIntro || this.activated ? deltaTime : 0;
+            var distance = this.currentSpeed * this.powerUps.getSpeedFactor() *
+                deltaTime / (1000 / FPS);
+            this.distanceRan += distance;
+            this.bonusScore += distance * (this.powerUps.getScoreFactor() - 1);
+            if (this.currentSpeed < this.config.MAX_SPEED) {
+                this.currentSpeed += this.config.ACCELERATION;
+            }
+            this.powerUps.update(deltaTime);
+            this.tRex.update(deltaTime);
+        },
+
+        /**
+         * Repeat recorded input, as Runner#applyRecordedEvent does, and the
+         * power-ups the run picked up.
+         * @param {Runner.recordedEvents} event
+         * @param {string=} opt_powerUp Type of a power-up picked up.
+         */
+        applyEvent: function (event, opt_powerUp) {
+            var tRex = this.tRex;
+
+            switch (event) {
+                case Runner.recordedEvents.JUMP:
+                    if (!tRex.jumping && !tRex.ducking) {
+                        tRex.startJump(this.currentSpeed);
+                    } else if (this.config.DOUBLE_JUMP) {
+                        tRex.startDoubleJump(this.currentSpeed);
+                    }
+                    break;
+                case Runner.recordedEvents.JUMP_END:
+                    tRex.endJump();
+                    break;
+                case Runner.recordedEvents.DUCK:
+                    if (tRex.jumping) {
+                        tRex.setSpeedDrop();
+                    } else if (!tRex.ducking) {
+                        tRex.setDuck(true);
+                    }
+                    break;
+                case Runner.recordedEvents.DUCK_END:
+                    tRex.speedDrop = false;
+                    tRex.setDuck(false);
+                    break;
+                case Runner.recordedEvents.DASH:
+                    tRex.startDash();
+                    break;
+                case Runner.recordedEvents.INTRO_END:
+                    this.playingIntro = false;
+                    break;
+                case Runner.recordedEvents.RESUME:
+                    tRex.reset();
+                    break;
+                case Runner.recordedEvents.POWER_UP:
+                    this.powerUps.activate(opt_powerUp);
+                    break;
+            }
+        },
+
+        /**
+         * Draw the ghost, when on screen.
+         * @param {number} xPos
+         * @param {number=} opt_alpha See Runner#draw.
+         */
+        draw: function (xPos, opt_alpha) {
+            var tRex = this.tRex;
+
+            if (xPos + tRex.config.WIDTH < 0 || xPos > this.recording.width) {
+                return;
+            }
+            // Ahead of where it runs by any lead from an air dash.
+            tRex.xPos = xPos + tRex.dashLead;
+            tRex.lastXPos = xPos + tRex.lastDashLead;
+            tRex.opacity = Ghost.config.OPACITY;
+            tRex.draw(tRex.currentAnimFrames[tRex.currentFrame], 0, opt_alpha);
+            tRex.opacity = 0;
+        },
+
+        /**
+         * @return {number} Score so far, or where the recorded run crashed.
+         */
+        getScore: function () {
+            return Math.ceil(this.distanceRan + this.bonusScore);
         }
     };
 
@@ -2799,7 +8058,6 @@ const PerformanceManager = {
     function DistanceMeter(canvas, spritePos, canvasWidth) {
         this.canvas = canvas;
         this.canvasCtx = canvas.getContext('2d');
-        this.image = Runner.imageSprite;
         this.spritePos = spritePos;
         this.x = 0;
         this.y = 5;
@@ -2814,7 +8072,11 @@ const PerformanceManager = {
         this.defaultString = '';
         this.flashTimer = 0;
         this.flashIterations = 0;
+        // Whether the digits show, they blink while flashing.
+        this.paint = true;
         this.invertTrigger = false;
+        // Coins picked up in the run, counted left of the high score.
+        this.coins = 0;
 
         this.config = DistanceMeter.config;
         this.maxScoreUnits = this.config.MAX_DISTANCE_UNITS;
@@ -2928,7 +8190,7 @@ const PerformanceManager = {
                 this.canvasCtx.translate(this.x, this.y);
             }
 
-            this.canvasCtx.drawImage(this.image, sourceX, sourceY,
+            this.canvasCtx.drawImage(Runner.imageSprite, sourceX, sourceY,
                 sourceWidth, sourceHeight,
                 targetX, targetY,
                 targetWidth, targetHeight
@@ -2953,9 +8215,10 @@ const PerformanceManager = {
          * @return {boolean} Whether the acheivement sound fx should be played.
          */
         update: function (deltaTime, distance) {
-            var paint = true;
             var playSound = false;
 
+            this.paint = true;
+
             if (!this.acheivement) {
                 distance = this.getActualDistance(distance);
                 // Score has gone beyond the initial digit count.
@@ -2989,7 +8252,7 @@ const PerformanceManager = {
                     this.flashTimer += deltaTime;
 
                     if (this.flashTimer < this.config.FLASH_DURATION) {
-                        paint = false;
+                        this.paint = false;
                     } else if (this.flashTimer >
                         this.config.FLASH_DURATION * 2) {
                         this.flashTimer = 0;
@@ -3001,16 +8264,51 @@ const PerformanceManager = {
                     this.flashTimer = 0;
                 }
             }
+            return playSound;
+        },
 
+        /**
+         * Draw the distance, the high score and the coin count.
+         */
+        drawScores: function () {
             // Draw the digits if not flashing.
-            if (paint) {
+            if (this.paint) {
                 for (var i = this.digits.length - 1; i >= 0; i--) {
                     this.draw(i, parseInt(this.digits[i]));
                 }
             }
 
             this.drawHighScore();
-            return playSound;
+            this.drawCoins();
+        },
+
+        /**
+         * Draw the coin count left of the high score, once a coin is picked up.
+         */
+        drawCoins: function () {
+            if (!this.coins) {
+                return;
+            }
+            var theme = TelegramGameAPI.app ? TelegramGameAPI.app.themeParams : {};
+            var dimensions = DistanceMeter.dimensions;
+            var right = this.x - (this.maxScoreUnits * 2) * dimensions.WIDTH -
+                dimensions.DEST_WIDTH;
+            var text = String(this.coins);
+            // Level with the digits, drawn at y in a context moved down by y.
+            var y = this.y * 2;
+
+            this.canvasCtx.save();
+            this.canvasCtx.fillStyle = theme.text_color || '#535353';
+            this.canvasCtx.font = 'bold ' + (dimensions.HEIGHT + 2) + 'px ' +
+                '"Courier New", Courier, monospace';
+            this.canvasCtx.textAlign = 'right';
+            this.canvasCtx.textBaseline = 'top';
+            this.canvasCtx.fillText(text, right, y);
+            var textWidth = this.canvasCtx.measureText(text).width;
+            this.canvasCtx.restore();
+
+            Coin.drawIcon(this.canvasCtx, Math.round(right - textWidth - 4 - Coin.config.WIDTH),
+                y + Math.round((dimensions.HEIGHT - Coin.config.HEIGHT) / 2));
         },
 
         /**
@@ -3056,17 +8354,21 @@ const PerformanceManager = {
      * @param {HTMLCanvasElement} canvas Canvas element.
      * @param {Object} spritePos Position of image in sprite.
      * @param {number} containerWidth
+     * @param {!Random} random Scenery random stream.
      */
-    function Cloud(canvas, spritePos, containerWidth) {
+    function Cloud(canvas, spritePos, containerWidth, random) {
         this.canvas = canvas;
         this.canvasCtx = this.canvas.getContext('2d');
         this.spritePos = spritePos;
         this.containerWidth = containerWidth;
+        this.random = random;
         this.xPos = containerWidth;
+        // Position after the tick before, drawn from.
+        this.lastXPos = this.xPos;
         this.yPos = 0;
         this.remove = false;
         this.cloudGap = getRandomNum(Cloud.config.MIN_CLOUD_GAP,
-            Cloud.config.MAX_CLOUD_GAP);
+            Cloud.config.MAX_CLOUD_GAP, random);
 
         this.init();
     };
@@ -3092,14 +8394,14 @@ const PerformanceManager = {
          */
         init: function () {
             this.yPos = getRandomNum(Cloud.config.MAX_SKY_LEVEL,
-                Cloud.config.MIN_SKY_LEVEL);
-            this.draw();
+                Cloud.config.MIN_SKY_LEVEL, this.random);
         },
 
         /**
          * Draw the cloud.
+         * @param {number=} opt_alpha See Runner#draw.
          */
-        draw: function () {
+        draw: function (opt_alpha) {
             this.canvasCtx.save();
             var sourceWidth = Cloud.config.WIDTH;
             var sourceHeight = Cloud.config.HEIGHT;
@@ -3112,7 +8414,7 @@ const PerformanceManager = {
             this.canvasCtx.drawImage(Runner.imageSprite, this.spritePos.x,
                 this.spritePos.y,
                 sourceWidth, sourceHeight,
-                this.xPos, this.yPos,
+                interpolate(this.lastXPos, this.xPos, opt_alpha), this.yPos,
                 Cloud.config.WIDTH, Cloud.config.HEIGHT);
 
             this.canvasCtx.restore();
@@ -3124,8 +8426,8 @@ const PerformanceManager = {
          */
         update: function (speed) {
             if (!this.remove) {
+                this.lastXPos = this.xPos;
                 this.xPos -= Math.ceil(speed);
-                this.draw();
 
                 // Mark as removeable if no longer in the canvas.
                 if (!this.isVisible()) {
@@ -3148,9 +8450,11 @@ const PerformanceManager = {
 
     /**
      * Nightmode shows a moon and stars on the horizon.
+     * @param {!Random} random Scenery random stream, for star placement.
      */
-    function NightMode(canvas, spritePos, containerWidth) {
+    function NightMode(canvas, spritePos, containerWidth, random) {
         this.spritePos = spritePos;
+        this.random = random;
         this.canvas = canvas;
         this.canvasCtx = canvas.getContext('2d');
         this.xPos = containerWidth - 50;
@@ -3213,7 +8517,6 @@ const PerformanceManager = {
                             NightMode.config.STAR_SPEED);
                     }
                 }
-                this.draw();
             } else {
                 this.opacity = 0;
                 this.placeStars();
@@ -3278,8 +8581,9 @@ const PerformanceManager = {
 
             for (var i = 0; i < NightMode.config.NUM_STARS; i++) {
                 this.stars[i] = {};
-                this.stars[i].x = getRandomNum(segmentSize * i, segmentSize * (i + 1));
-                this.stars[i].y = getRandomNum(0, NightMode.config.STAR_MAX_Y);
+                this.stars[i].x = getRandomNum(segmentSize * i, segmentSize * (i + 1),
+                    this.random);
+                this.stars[i].y = getRandomNum(0, NightMode.config.STAR_MAX_Y, this.random);
 
                 if (IS_HIDPI) {
                     this.stars[i].sourceY = Runner.spriteDefinition.HDPI.STAR.y +
@@ -3307,10 +8611,12 @@ const PerformanceManager = {
      * Consists of two connecting lines. Randomly assigns a flat / bumpy horizon.
      * @param {HTMLCanvasElement} canvas
      * @param {Object} spritePos Horizon position in sprite.
+     * @param {!Random} random Scenery random stream.
      * @constructor
      */
-    function HorizonLine(canvas, spritePos) {
+    function HorizonLine(canvas, spritePos, random) {
         this.spritePos = spritePos;
+        this.random = random;
         this.canvas = canvas;
         this.canvasCtx = canvas.getContext('2d');
         this.sourceDimensions = {};
@@ -3319,6 +8625,8 @@ const PerformanceManager = {
             this.dimensions.WIDTH];
         this.xPos = [];
         this.yPos = 0;
+        // Distance moved in the last tick, drawn back from.
+        this.increment = 0;
         this.bumpThreshold = 0.5;
 
         this.setSourceDimensions();
@@ -3364,23 +8672,26 @@ const PerformanceManager = {
          * Return the crop x position of a type.
          */
         getRandomType: function () {
-            return Math.random() > this.bumpThreshold ? this.dimensions.WIDTH : 0;
+            return this.random.next() > this.bumpThreshold ? this.dimensions.WIDTH : 0;
         },
 
         /**
          * Draw the horizon line.
+         * @param {number=} opt_alpha See Runner#draw.
          */
-        draw: function () {
+        draw: function (opt_alpha) {
             this.canvasCtx.drawImage(Runner.imageSprite, this.sourceXPos[0],
                 this.spritePos.y,
                 this.sourceDimensions.WIDTH, this.sourceDimensions.HEIGHT,
-                this.xPos[0], this.yPos,
+                interpolate(this.xPos[0] + this.increment, this.xPos[0], opt_alpha),
+                this.yPos,
                 this.dimensions.WIDTH, this.dimensions.HEIGHT);
 
             this.canvasCtx.drawImage(Runner.imageSprite, this.sourceXPos[1],
                 this.spritePos.y,
                 this.sourceDimensions.WIDTH, this.sourceDimensions.HEIGHT,
-                this.xPos[1], this.yPos,
+                interpolate(this.xPos[1] + this.increment, this.xPos[1], opt_alpha),
+                this.yPos,
                 this.dimensions.WIDTH, this.dimensions.HEIGHT);
         },
 
@@ -3416,7 +8727,7 @@ const PerformanceManager = {
             } else {
                 this.updateXPos(1, increment);
             }
-            this.draw();
+            this.increment = increment;
         },
 
         /**
@@ -3425,6 +8736,7 @@ const PerformanceManager = {
         reset: function () {
             this.xPos[0] = 0;
             this.xPos[1] = HorizonLine.dimensions.WIDTH;
+            this.increment = 0;
         }
     };
 
@@ -3436,16 +8748,29 @@ const PerformanceManager = {
      * @param {HTMLCanvasElement} canvas
      * @param {Object} spritePos Sprite positioning.
      * @param {Object} dimensions Canvas dimensions.
-     * @param {number} gapCoefficient
+     * @param {Object} difficulty Runner config, see setDifficulty().
+     * @param {!Random} courseRandom Stream for obstacles.
+     * @param {!Random} sceneryRandom Stream for clouds, stars and the ground.
+     * @param {!Random} pickupRandom Stream for power-ups and coins.
      * @constructor
      */
-    function Horizon(canvas, spritePos, dimensions, gapCoefficient) {
+    function Horizon(canvas, spritePos, dimensions, difficulty,
+        courseRandom, sceneryRandom, pickupRandom) {
         this.canvas = canvas;
         this.canvasCtx = this.canvas.getContext('2d');
         this.config = Horizon.config;
         this.dimensions = dimensions;
-        this.gapCoefficient = gapCoefficient;
+        this.gapCoefficient = 0;
+        this.obstacleTypes = [];
+        this.powerUpFrequency = 0;
+        this.coinFrequency = 0;
+        this.setDifficulty(difficulty);
+        this.courseRandom = courseRandom;
+        this.sceneryRandom = sceneryRandom;
+        this.pickupRandom = pickupRandom;
         this.obstacles = [];
+        this.powerUps = [];
+        this.coins = [];
         this.obstacleHistory = [];
         this.horizonOffsets = [0, 0];
         this.cloudFrequency = this.config.CLOUD_FREQUENCY;
@@ -3481,9 +8806,28 @@ const PerformanceManager = {
          */
         init: function () {
             this.addCloud();
-            this.horizonLine = new HorizonLine(this.canvas, this.spritePos.HORIZON);
+            this.horizonLine = new HorizonLine(this.canvas, this.spritePos.HORIZON,
+                this.sceneryRandom);
             this.nightMode = new NightMode(this.canvas, this.spritePos.MOON,
-                this.dimensions.WIDTH);
+                this.dimensions.WIDTH, this.sceneryRandom);
+        },
+
+        /**
+         * Set the obstacle gaps, the speeds obstacles appear at and how often
+         * power-ups and coins come.
+         * @param {Object} config Runner config with GAP_COEFFICIENT,
+         *     POWER_UP_FREQUENCY, COIN_FREQUENCY and, optionally,
+         *     OBSTACLE_SPEEDS overriding Obstacle.types by type.
+         */
+        setDifficulty: function (config) {
+            var speeds = config.OBSTACLE_SPEEDS || {};
+
+            this.gapCoefficient = config.GAP_COEFFICIENT;
+            this.powerUpFrequency = config.POWER_UP_FREQUENCY;
+            this.coinFrequency = config.COIN_FREQUENCY;
+            this.obstacleTypes = Obstacle.types.map(function (type) {
+                return Object.assign({}, type, speeds[type.type]);
+            });
         },
 
         /**
@@ -3505,6 +8849,29 @@ const PerformanceManager = {
             }
         },
 
+        /**
+         * Draw the ground, the night sky, clouds, obstacles and pickups.
+         * @param {number=} opt_alpha See Runner#draw.
+         */
+        draw: function (opt_alpha) {
+            this.horizonLine.draw(opt_alpha);
+            if (this.nightMode.opacity > 0) {
+                this.nightMode.draw();
+            }
+            for (var i = this.clouds.length - 1; i >= 0; i--) {
+                this.clouds[i].draw(opt_alpha);
+            }
+            for (var j = 0; j < this.obstacles.length; j++) {
+                this.obstacles[j].draw(opt_alpha);
+            }
+            for (var k = 0; k < this.powerUps.length; k++) {
+                this.powerUps[k].draw(opt_alpha);
+            }
+            for (var l = 0; l < this.coins.length; l++) {
+                this.coins[l].draw(opt_alpha);
+            }
+        },
+
         /**
          * Update the cloud positions.
          * @param {number} deltaTime
@@ -3524,7 +8891,7 @@ const PerformanceManager = {
                 // Check for adding a new cloud.
                 if (numClouds < this.config.MAX_CLOUDS &&
                     (this.dimensions.WIDTH - lastCloud.xPos) > lastCloud.cloudGap &&
-                    this.cloudFrequency > Math.random()) {
+                    this.cloudFrequency > this.sceneryRandom.next()) {
                     this.addCloud();
                 }
 
@@ -3557,6 +8924,19 @@ const PerformanceManager = {
             }
             this.obstacles = updatedObstacles;
 
+            for (var j = 0; j < this.powerUps.length; j++) {
+                this.powerUps[j].update(deltaTime, currentSpeed);
+            }
+            this.powerUps = this.powerUps.filter(function (powerUp) {
+                return !powerUp.remove;
+            });
+            for (var k = 0; k < this.coins.length; k++) {
+                this.coins[k].update(deltaTime, currentSpeed);
+            }
+            this.coins = this.coins.filter(function (coin) {
+                return !coin.remove;
+            });
+
             if (this.obstacles.length > 0) {
                 var lastObstacle = this.obstacles[this.obstacles.length - 1];
 
@@ -3577,13 +8957,142 @@ const PerformanceManager = {
             this.obstacles.shift();
         },
 
+        /**
+         * Maybe add a power-up halfway along the gap after an obstacle, on
+         * the ground or a jump up. Drawn from its own stream, so power-ups
+         * do not change the course. Power-ups that only act on coins come
+         * when there are coins.
+         * @param {!Obstacle} obstacle
+         * @return {boolean} Whether one was added.
+         */
+        addPowerUp: function (obstacle) {
+            var random = this.pickupRandom;
+
+            if (!this.powerUpFrequency || random.next() >= this.powerUpFrequency) {
+                return false;
+            }
+            var types = Object.keys(PowerUp.types).filter(function (type) {
+                return this.coinFrequency || !PowerUp.types[type].attractsCoins;
+            }, this);
+            var heights = PowerUp.config.Y_POS;
+            var type = types[getRandomNum(0, types.length - 1, random)];
+            var yPos = heights[getRandomNum(0, heights.length - 1, random)];
+
+            this.powerUps.push(new PowerUp(this.canvasCtx, type,
+                Math.round(obstacle.xPos + obstacle.width + (obstacle.gap -
+                    PowerUp.config.WIDTH) / 2), yPos));
+            return true;
+        },
+
+        /**
+         * Maybe add a line of coins for an obstacle: along the top of a jump
+         * over one on the ground, or along the ground in the gap after one
+         * that flies, unless a power-up is there.
+         * @param {!Obstacle} obstacle
+         * @param {number} speed
+         * @param {boolean} hasPowerUp Whether a power-up is in the gap after.
+         */
+        addCoins: function (obstacle, speed, hasPowerUp) {
+            var random = this.pickupRandom;
+            var config = Coin.config;
+
+            if (!this.coinFrequency || random.next() >= this.coinFrequency) {
+                return;
+            }
+            var count = getRandomNum(config.MIN_COUNT, config.MAX_COUNT, random);
+            // Distance the ground moves in a tick, as in Obstacle#update.
+            var step = Math.floor((speed * FPS / 1000) * (1000 / FPS));
+            var centerX = obstacle.xPos + obstacle.width / 2;
+            var i;
+
+            if (!Array.isArray(obstacle.typeConfig.yPos)) {
+                // Where the T-rex's head passes in a jump that tops out over
+                // the middle of the obstacle.
+                var path = Trex.getJumpPath(speed);
+                var top = path.indexOf(Math.min.apply(Math, path));
+                var ticks = Math.ceil(config.SPACING / step);
+
+                for (i = 0; i < count; i++) {
+                    var tick = top + Math.round((i - (count - 1) / 2) * ticks);
+                    if (tick >= 0 && tick < path.length) {
+                        this.coins.push(new Coin(this.canvasCtx,
+                            Math.round(centerX + (tick - top) * step - config.WIDTH / 2),
+                            path[tick] + config.HEAD_Y - config.HEIGHT / 2));
+                    }
+                }
+            } else if (!hasPowerUp) {
+                var startX = obstacle.xPos + obstacle.width +
+                    (obstacle.gap - (count - 1) * config.SPACING - config.WIDTH) / 2;
+
+                for (i = 0; i < count; i++) {
+                    this.coins.push(new Coin(this.canvasCtx,
+                        Math.round(startX + i * config.SPACING),
+                        Trex.getGroundYPos() + config.HEAD_Y - config.HEIGHT / 2));
+                }
+            }
+        },
+
+        /**
+         * Pick up the coins the T-rex touches.
+         * @param {!Trex} tRex
+         * @return {number} Coins picked up.
+         */
+        collectCoins: function (tRex) {
+            var count = this.coins.length;
+
+            this.coins = this.coins.filter(function (coin) {
+                return !checkForCollision(coin, tRex);
+            });
+            return count - this.coins.length;
+        },
+
+        /**
+         * Pull coins near the T-rex towards it.
+         * @param {!Trex} tRex
+         * @param {number} deltaTime
+         */
+        attractCoins: function (tRex, deltaTime) {
+            var config = Coin.config;
+            var targetX = tRex.xPos + tRex.config.WIDTH / 2 - config.WIDTH / 2;
+            var targetY = tRex.yPos + tRex.config.HEIGHT / 2 - config.HEIGHT / 2;
+            var pull = config.MAGNET_SPEED * deltaTime / (1000 / FPS);
+
+            for (var i = 0; i < this.coins.length; i++) {
+                var coin = this.coins[i];
+                var dx = targetX - coin.xPos;
+                var dy = targetY - coin.yPos;
+                var distance = Math.sqrt(dx * dx + dy * dy);
+
+                if (distance > 0 && distance < config.MAGNET_RANGE) {
+                    var move = Math.min(1, pull / distance);
+                    coin.xPos += dx * move;
+                    coin.yPos += dy * move;
+                }
+            }
+        },
+
+        /**
+         * Pick up the first power-up the T-rex touches.
+         * @param {!Trex} tRex
+         * @return {?string} Its type, if one was picked up.
+         */
+        collectPowerUp: function (tRex) {
+            for (var i = 0; i < this.powerUps.length; i++) {
+                if (checkForCollision(this.powerUps[i], tRex)) {
+                    return this.powerUps.splice(i, 1)[0].type;
+                }
+            }
+            return null;
+        },
+
         /**
          * Add a new obstacle.
          * @param {number} currentSpeed
          */
         addNewObstacle: function (currentSpeed) {
-            var obstacleTypeIndex = getRandomNum(0, Obstacle.types.length - 1);
-            var obstacleType = Obstacle.types[obstacleTypeIndex];
+            var obstacleTypeIndex = getRandomNum(0, this.obstacleTypes.length - 1,
+                this.courseRandom);
+            var obstacleType = this.obstacleTypes[obstacleTypeIndex];
 
             // Check for multiples of the same type of obstacle.
             // Also check obstacle is available at current speed.
@@ -3592,10 +9101,13 @@ const PerformanceManager = {
                 this.addNewObstacle(currentSpeed);
             } else {
                 var obstacleSpritePos = this.spritePos[obstacleType.type];
-
-                this.obstacles.push(new Obstacle(this.canvasCtx, obstacleType,
+                var obstacle = new Obstacle(this.canvasCtx, obstacleType,
                     obstacleSpritePos, this.dimensions,
-                    this.gapCoefficient, currentSpeed, obstacleType.width));
+                    this.gapCoefficient, currentSpeed, this.courseRandom,
+                    obstacleType.width);
+
+                this.obstacles.push(obstacle);
+                this.addCoins(obstacle, currentSpeed, this.addPowerUp(obstacle));
 
                 this.obstacleHistory.unshift(obstacleType.type);
 
@@ -3626,6 +9138,10 @@ const PerformanceManager = {
          */
         reset: function () {
             this.obstacles = [];
+            this.powerUps = [];
+            this.coins = [];
+            // The duplicate check must start afresh for a seeded course to repeat.
+            this.obstacleHistory = [];
             this.horizonLine.reset();
             this.nightMode.reset();
         },
@@ -3645,14 +9161,40 @@ const PerformanceManager = {
          */
         addCloud: function () {
             this.clouds.push(new Cloud(this.canvas, this.spritePos.CLOUD,
-                this.dimensions.WIDTH));
+                this.dimensions.WIDTH, this.sceneryRandom));
         }
     };
 })();
 
 
+/**
+ * Show an error in place of the game when it fails to start.
+ */
+function showInitError() {
+    const errorMsg = document.createElement('div');
+    errorMsg.innerHTML = `
+        <div style="position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); 
+                   background: rgba(255, 0, 0, 0.9); color: white; padding: 20px; 
+                   border-radius: 10px; text-align: center; z-index: 10000;">
+            <h3>${I18n.t('error.title')}</h3>
+            <p>${I18n.t('error.message')}</p>
+            <button onclick="location.reload()" style="background: white; color: red; 
+                    border: none; padding: 10px 20px; border-radius: 5px; cursor: pointer;">
+                ${I18n.t('error.refresh')}
+            </button>
+        </div>
+    `;
+    document.body.appendChild(errorMsg);
+}
+
+// The only place the game is started.
 function onDocumentLoad() {
-    new Runner('.interstitial-wrapper');
+    try {
+        window.gameInstance = LaunchRouter.start('.interstitial-wrapper');
+    } catch (error) {
+        console.error('Failed to initialize game:', error);
+        showInitError();
+    }
 }
 
 document.addEventListener('DOMContentLoaded', onDocumentLoad);
@@ -0,0 +1,304 @@
+// HTTP API for the game: authenticated score submissions, leaderboards and
+// shared score cards.
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { validateInitData } = require('./initData');
+const { MAX_SCORE } = require('./scoreStore');
+
+/**
+ * Largest request body accepted, in bytes.
+ * @const
+ */
+const MAX_BODY_SIZE = 64 * 1024;
+
+/**
+ * Largest score card upload accepted, in bytes.
+ * @const
+ */
+const MAX_CARD_BODY_SIZE = 1024 * 1024;
+
+/**
+ * PNG file signature.
+ * @const
+ */
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Launch mode names recorded with a score.
+ * @const
+ */
+const LAUNCH_MODE_PATTERN = /^[a-z]{1,16}$/;
+
+/**
+ * Leaderboard scopes accepted by GET /api/leaderboard.
+ * @const
+ */
+const LEADERBOARD_SCOPES = ['global', 'chat', 'around', 'daily'];
+
+/**
+ * Daily Run day, e.g. '2026-10-19'.
+ * @const
+ */
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Most leaderboard rows returned per request.
+ * @const
+ */
+const MAX_LEADERBOARD_SIZE = 50;
+
+/**
+ * Send a JSON response.
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {Object} body
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body, which must be an object.
+ * @param {http.IncomingMessage} req
+ * @param {number=} opt_maxSize Body size limit in bytes.
+ * @return {Promise<Object>}
+ */
+function readJson(req, opt_maxSize) {
+    const maxSize = opt_maxSize || MAX_BODY_SIZE;
+
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > maxSize) {
+                reject(Object.assign(new Error('body too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            let body;
+            try {
+                body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+            } catch (error) {
+                reject(Object.assign(new Error('invalid JSON'), { status: 400 }));
+                return;
+            }
+            if (!body || typeof body != 'object' || Array.isArray(body)) {
+                reject(Object.assign(new Error('body is not an object'), { status: 400 }));
+                return;
+            }
+            resolve(body);
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * @param {number=} opt_offset Days from today.
+ * @return {string} UTC day.
+ */
+function getDay(opt_offset) {
+    const date = new Date();
+    date.setUTCDate(date.getUTCDate() + (opt_offset || 0));
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Create the API server.
+ * @param {Object} options
+ *     botToken: Token used to validate initData signatures.
+ *     store: ScoreStore instance.
+ *     maxAuthAge: Maximum age of auth_date in seconds.
+ *     allowedOrigin: Value of Access-Control-Allow-Origin.
+ *     cardsDir: Directory for shared score cards. Cards are disabled
+ *         without it.
+ *     publicUrl: Base URL the server is reachable at, used for card links.
+ *         Required with cardsDir.
+ * @return {http.Server}
+ */
+function createServer(options) {
+    if (!options || !options.botToken) {
+        throw new Error('botToken is required');
+    }
+    // Card links are shared outside the game, so they are never built from
+    // the Host header a client sends.
+    if (options.cardsDir && !options.publicUrl) {
+        throw new Error('publicUrl is required with cardsDir');
+    }
+    const store = options.store;
+    const allowedOrigin = options.allowedOrigin || '*';
+
+    /**
+     * Validate the initData sent with a request.
+     * @param {string} initData
+     * @return {Object} Validated data.
+     */
+    function authenticate(initData) {
+        const result = validateInitData(initData, options.botToken,
+            { maxAge: options.maxAuthAge });
+        if (!result.ok) {
+            throw Object.assign(new Error(result.error), { status: 401 });
+        }
+        return result.data;
+    }
+
+    const routes = {
+        'POST /api/scores': function (req) {
+            return readJson(req).then((body) => {
+                const auth = authenticate(body.initData);
+                const score = body.score;
+
+                if (!Number.isInteger(score) || score < 0 || score > MAX_SCORE) {
+                    throw Object.assign(new Error('invalid score'), { status: 400 });
+                }
+
+                // The day's first Daily Run submission is the ranked one, and
+                // Daily Runs stay off the best score boards. Yesterday is
+                // accepted for runs that end after midnight.
+                if (body.mode == 'daily') {
+                    if (body.day != getDay() && body.day != getDay(-1)) {
+                        throw Object.assign(new Error('invalid day'), { status: 400 });
+                    }
+                    return { ok: true, daily: store.addDailyScore(auth.user, body.day, score) };
+                }
+
+                const result = store.addScore(auth.user, score, {
+                    chatInstance: auth.chatInstance || undefined,
+                    platform: typeof body.platform == 'string' ? body.platform : undefined,
+                    mode: typeof body.mode == 'string' && LAUNCH_MODE_PATTERN.test(body.mode) ?
+                        body.mode : undefined,
+                    referrer: Number.isInteger(body.referrer) && body.referrer != auth.user.id ?
+                        body.referrer : undefined
+                });
+                return Object.assign({ ok: true }, result);
+            });
+        },
+
+        'POST /api/cards': function (req) {
+            if (!options.cardsDir) {
+                throw Object.assign(new Error('cards disabled'), { status: 404 });
+            }
+
+            return readJson(req, MAX_CARD_BODY_SIZE).then((body) => {
+                authenticate(body.initData);
+
+                const match = /^data:image\/png;base64,([A-Za-z0-9+/=]+)$/.exec(body.image || '');
+                const image = match && Buffer.from(match[1], 'base64');
+                if (!image || !image.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+                    throw Object.assign(new Error('invalid image'), { status: 400 });
+                }
+
+                const id = crypto.randomBytes(12).toString('hex');
+                fs.mkdirSync(options.cardsDir, { recursive: true });
+                fs.writeFileSync(path.join(options.cardsDir, id + '.png'), image);
+
+                return {
+                    ok: true,
+                    url: options.publicUrl.replace(/\/+$/, '') + '/cards/' + id + '.png'
+                };
+            });
+        },
+
+        'GET /api/leaderboard': function (req, url) {
+            const auth = authenticate(req.headers['x-telegram-init-data']);
+            const scope = url.searchParams.get('scope') || 'global';
+
+            if (LEADERBOARD_SCOPES.indexOf(scope) == -1) {
+                throw Object.assign(new Error('invalid scope'), { status: 400 });
+            }
+            if (scope == 'chat' && !auth.chatInstance) {
+                throw Object.assign(new Error('no chat_instance'), { status: 400 });
+            }
+            const day = url.searchParams.get('day') || getDay();
+            if (scope == 'daily' && !DAY_PATTERN.test(day)) {
+                throw Object.assign(new Error('invalid day'), { status: 400 });
+            }
+
+            const leaderboard = store.getLeaderboard({
+                scope: scope,
+                userId: auth.user.id,
+                chatInstance: auth.chatInstance,
+                day: day,
+                limit: Math.min(Number(url.searchParams.get('limit')) || 0,
+                    MAX_LEADERBOARD_SIZE) || undefined
+            });
+            const toRow = (row) => ({
+                rank: row.rank,
+                score: row.score,
+                userId: row.user.id,
+                name: [row.user.first_name, row.user.last_name].filter(Boolean).join(' ') ||
+                    row.user.username || '',
+                photoUrl: row.user.photo_url || null,
+                isSelf: row.user.id == auth.user.id
+            });
+
+            return {
+                ok: true,
+                scope: scope,
+                day: scope == 'daily' ? day : undefined,
+                entries: leaderboard.entries.map(toRow),
+                self: leaderboard.self ? toRow(leaderboard.self) : null
+            };
+        }
+    };
+
+    return http.createServer((req, res) => {
+        res.setHeader('Access-Control-Allow-Origin', allowedOrigin);
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Telegram-Init-Data');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+
+        if (req.method == 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        const url = new URL(req.url, 'http://localhost');
+        const route = routes[req.method + ' ' + url.pathname];
+        const card = /^\/cards\/([0-9a-f]{24})\.png$/.exec(url.pathname);
+
+        if (req.method == 'GET' && card && options.cardsDir) {
+            fs.readFile(path.join(options.cardsDir, card[1] + '.png'), (error, image) => {
+                if (error) {
+                    sendJson(res, 404, { ok: false, error: 'not found' });
+                    return;
+                }
+                res.writeHead(200, { 'Content-Type': 'image/png' });
+                res.end(image);
+            });
+            return;
+        }
+
+        if (!route) {
+            sendJson(res, 404, { ok: false, error: 'not found' });
+            return;
+        }
+
+        Promise.resolve()
+            .then(() => route(req, url))
+            .then((body) => sendJson(res, 200, body))
+            .catch((error) => {
+                if (!error.status) {
+                    console.error('Request failed:', error);
+                }
+                sendJson(res, error.status || 500,
+                    { ok: false, error: error.status ? error.message : 'internal error' });
+            });
+    });
+}
+
+module.exports = {
+    createServer: createServer,
+    readJson: readJson,
+    sendJson: sendJson
+};
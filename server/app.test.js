@@ -0,0 +1,233 @@
+// Runs the HTTP API with a test bot token and initData signed with it.
+//
+// Usage:
+//   node --test server/
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const { createServer } = require('./app');
+const { signInitData } = require('./initData');
+const ScoreStore = require('./scoreStore');
+
+const TOKEN = '123456:test-token';
+const ANN = { id: 1, first_name: 'Ann' };
+const BOB = { id: 2, first_name: 'Bob' };
+const CAT = { id: 3, first_name: 'Cat' };
+
+// The API checks the PNG signature only, so this passes for a card.
+const PNG = Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    Buffer.from([0])
+]);
+
+/**
+ * Start the API on a free port, with a store in a temporary directory.
+ * @param {Object} t Test context, to stop the server after the test.
+ * @param {string=} opt_publicUrl Enables score cards, linked from this URL.
+ * @return {Promise<{url: string}>}
+ */
+function startServer(t, opt_publicUrl) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trex-app-'));
+    const server = createServer({
+        botToken: TOKEN,
+        store: new ScoreStore(path.join(dir, 'scores.json')),
+        cardsDir: opt_publicUrl ? path.join(dir, 'cards') : undefined,
+        publicUrl: opt_publicUrl
+    });
+
+    t.after(() => {
+        server.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    return new Promise((resolve) => server.listen(0, () => {
+        resolve({ url: 'http://localhost:' + server.address().port });
+    }));
+}
+
+/**
+ * @param {Object} user
+ * @param {Object=} opt_fields Other initData fields.
+ * @return {string} initData signed with TOKEN.
+ */
+function initDataFor(user, opt_fields) {
+    return signInitData(Object.assign({ user: user }, opt_fields), TOKEN);
+}
+
+/**
+ * @param {string} url
+ * @param {*} body Sent as JSON, or as it is if a string.
+ * @return {Promise<{status: number, body: Object}>}
+ */
+function post(url, body) {
+    return fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: typeof body == 'string' ? body : JSON.stringify(body)
+    }).then((res) => res.json().then((json) => ({ status: res.status, body: json })));
+}
+
+/**
+ * @param {string} url
+ * @param {string} initData
+ * @return {Promise<{status: number, body: Object}>}
+ */
+function get(url, initData) {
+    return fetch(url, { headers: { 'X-Telegram-Init-Data': initData } })
+        .then((res) => res.json().then((json) => ({ status: res.status, body: json })));
+}
+
+/**
+ * @return {string} Today's UTC day.
+ */
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+test('createServer checks its options', () => {
+    assert.throws(() => createServer({}), /botToken is required/);
+    assert.throws(() => createServer({ botToken: TOKEN, cardsDir: os.tmpdir() }),
+        /publicUrl is required with cardsDir/);
+});
+
+test('POST /api/scores records authenticated scores', async (t) => {
+    const { url } = await startServer(t);
+    const scores = url + '/api/scores';
+
+    let res = await post(scores, { initData: initDataFor(ANN), score: 420 });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body, { ok: true, bestScore: 420, isHighScore: true });
+
+    res = await post(scores, { initData: initDataFor(ANN), score: 100 });
+    assert.deepStrictEqual(res.body, { ok: true, bestScore: 420, isHighScore: false });
+
+    res = await post(scores, { initData: signInitData({ user: ANN }, '654321:other'), score: 1 });
+    assert.deepStrictEqual([res.status, res.body.error], [401, 'invalid signature']);
+
+    res = await post(scores, { score: 1 });
+    assert.deepStrictEqual([res.status, res.body.error], [401, 'missing initData']);
+
+    for (const score of [-1, 1.5, '5', null, 1e9]) {
+        res = await post(scores, { initData: initDataFor(ANN), score: score });
+        assert.deepStrictEqual([res.status, res.body.error], [400, 'invalid score'], String(score));
+    }
+});
+
+test('JSON bodies that are not objects are rejected', async (t) => {
+    const { url } = await startServer(t, 'https://example.com');
+
+    for (const route of ['/api/scores', '/api/cards']) {
+        for (const body of ['null', '1', '"x"', '[]']) {
+            const res = await post(url + route, body);
+            assert.deepStrictEqual([res.status, res.body.error], [400, 'body is not an object'],
+                route + ' ' + body);
+        }
+        const res = await post(url + route, '{');
+        assert.deepStrictEqual([res.status, res.body.error], [400, 'invalid JSON']);
+    }
+});
+
+test('GET /api/leaderboard ranks players globally and per chat', async (t) => {
+    const { url } = await startServer(t);
+    const scores = url + '/api/scores';
+    const board = url + '/api/leaderboard';
+
+    await post(scores, { initData: initDataFor(ANN, { chat_instance: 'a' }), score: 420 });
+    await post(scores, { initData: initDataFor(BOB, { chat_instance: 'b' }), score: 900 });
+    await post(scores, { initData: initDataFor(CAT, { chat_instance: 'a' }), score: 300 });
+
+    let res = await get(board, initDataFor(CAT));
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.entries.map((row) => [row.rank, row.name, row.score]),
+        [[1, 'Bob', 900], [2, 'Ann', 420], [3, 'Cat', 300]]);
+    assert.deepStrictEqual([res.body.self.rank, res.body.self.isSelf], [3, true]);
+
+    res = await get(board + '?scope=chat', initDataFor(CAT, { chat_instance: 'a' }));
+    assert.deepStrictEqual(res.body.entries.map((row) => row.name), ['Ann', 'Cat']);
+
+    res = await get(board + '?scope=around&limit=2', initDataFor(CAT));
+    assert.deepStrictEqual(res.body.entries.map((row) => row.name), ['Ann', 'Cat']);
+
+    res = await get(board + '?scope=chat', initDataFor(CAT));
+    assert.deepStrictEqual([res.status, res.body.error], [400, 'no chat_instance']);
+
+    res = await get(board + '?scope=friends', initDataFor(CAT));
+    assert.deepStrictEqual([res.status, res.body.error], [400, 'invalid scope']);
+
+    res = await get(board, '');
+    assert.strictEqual(res.status, 401);
+});
+
+test('Daily Run ranks the first score of the day and keeps off the best scores', async (t) => {
+    const { url } = await startServer(t);
+    const scores = url + '/api/scores';
+    const daily = (user, score, opt_ranked) => post(scores, {
+        initData: initDataFor(user),
+        score: score,
+        mode: 'daily',
+        ranked: opt_ranked,
+        day: today()
+    });
+
+    // The server decides which run is ranked, not the client.
+    let res = await daily(ANN, 500, false);
+    assert.deepStrictEqual(res.body, { ok: true, daily: { ranked: true, score: 500 } });
+    res = await daily(ANN, 800, true);
+    assert.deepStrictEqual(res.body.daily, { ranked: false, score: 500 });
+    await daily(BOB, 600);
+
+    res = await get(url + '/api/leaderboard?scope=daily', initDataFor(ANN));
+    assert.strictEqual(res.body.day, today());
+    assert.deepStrictEqual(res.body.entries.map((row) => [row.name, row.score]),
+        [['Bob', 600], ['Ann', 500]]);
+
+    await post(scores, { initData: initDataFor(ANN), score: 100 });
+    res = await get(url + '/api/leaderboard', initDataFor(ANN));
+    assert.deepStrictEqual(res.body.entries.map((row) => [row.name, row.score]), [['Ann', 100]]);
+
+    res = await post(scores, {
+        initData: initDataFor(ANN), score: 1, mode: 'daily', day: '2000-01-01'
+    });
+    assert.deepStrictEqual([res.status, res.body.error], [400, 'invalid day']);
+
+    res = await post(scores, { initData: initDataFor(ANN), score: 1, mode: 'daily' });
+    assert.deepStrictEqual([res.status, res.body.error], [400, 'invalid day']);
+
+    res = await get(url + '/api/leaderboard?scope=daily&day=today', initDataFor(ANN));
+    assert.deepStrictEqual([res.status, res.body.error], [400, 'invalid day']);
+});
+
+test('POST /api/cards stores score cards under the public URL', async (t) => {
+    const { url } = await startServer(t, 'https://example.com/trex/');
+    const image = 'data:image/png;base64,' + PNG.toString('base64');
+
+    let res = await post(url + '/api/cards', { initData: initDataFor(ANN), image: image });
+    assert.strictEqual(res.status, 200);
+    const match = /^https:\/\/example\.com\/trex\/cards\/([0-9a-f]{24})\.png$/.exec(res.body.url);
+    assert.ok(match, res.body.url);
+
+    const card = await fetch(url + '/cards/' + match[1] + '.png');
+    assert.strictEqual(card.headers.get('content-type'), 'image/png');
+    assert.deepStrictEqual(Buffer.from(await card.arrayBuffer()), PNG);
+
+    res = await post(url + '/api/cards', {
+        initData: initDataFor(ANN),
+        image: 'data:image/png;base64,' + Buffer.from('GIF89a').toString('base64')
+    });
+    assert.deepStrictEqual([res.status, res.body.error], [400, 'invalid image']);
+
+    res = await post(url + '/api/cards', { image: image });
+    assert.strictEqual(res.status, 401);
+
+    assert.strictEqual((await fetch(url + '/cards/' + '0'.repeat(24) + '.png')).status, 404);
+});
+
+test('POST /api/cards is not found without a cards directory', async (t) => {
+    const { url } = await startServer(t);
+    const res = await post(url + '/api/cards', { initData: initDataFor(ANN), image: '' });
+    assert.deepStrictEqual([res.status, res.body.error], [404, 'cards disabled']);
+});
@@ -0,0 +1,308 @@
+// Telegram bot for the game. Receives runs the game reports with
+// Telegram.WebApp.sendData(), which reach the bot as web_app_data messages,
+// and answers /stats and /top from the score store. sendData() only works in
+// a Mini App opened from a keyboard button, which /start sends.
+
+'use strict';
+
+const { MAX_SCORE } = require('./scoreStore');
+
+/**
+ * getUpdates long-poll timeout, in seconds.
+ * @const
+ */
+const POLL_TIMEOUT = 30;
+
+/**
+ * Wait before polling again after getUpdates fails, in ms.
+ * @const
+ */
+const RETRY_DELAY = 5000;
+
+/**
+ * Recent scores listed in a player's stats.
+ * @const
+ */
+const HISTORY_SIZE = 5;
+
+/**
+ * Rows listed by /top.
+ * @const
+ */
+const TOP_SIZE = 10;
+
+/**
+ * Longest platform name accepted in a run.
+ * @const
+ */
+const MAX_PLATFORM_LENGTH = 32;
+
+/**
+ * Parse and validate the JSON the game sends with sendData(), as built by
+ * TelegramGameAPI.sendScore(): {score, timestamp, platform}.
+ * @param {string} data
+ * @return {{ok: boolean, error: (string|undefined), run: (Object|undefined)}}
+ */
+function parseRunData(data) {
+    let payload;
+    try {
+        payload = JSON.parse(data);
+    } catch (error) {
+        return { ok: false, error: 'invalid JSON' };
+    }
+    if (!payload || typeof payload != 'object' || Array.isArray(payload)) {
+        return { ok: false, error: 'payload is not an object' };
+    }
+    if (!Number.isInteger(payload.score) || payload.score < 0 || payload.score > MAX_SCORE) {
+        return { ok: false, error: 'invalid score' };
+    }
+    if (payload.timestamp !== undefined && !Number.isFinite(payload.timestamp)) {
+        return { ok: false, error: 'invalid timestamp' };
+    }
+    if (payload.platform !== undefined && (typeof payload.platform != 'string' ||
+        payload.platform.length > MAX_PLATFORM_LENGTH)) {
+        return { ok: false, error: 'invalid platform' };
+    }
+    return {
+        ok: true,
+        run: {
+            score: payload.score,
+            timestamp: payload.timestamp,
+            platform: payload.platform
+        }
+    };
+}
+
+/**
+ * Reply keyboard with a button that opens the game, the one launch that can
+ * send runs to the bot.
+ * @param {string} url Game URL, https.
+ * @return {Object} ReplyKeyboardMarkup.
+ */
+function createPlayKeyboard(url) {
+    return {
+        keyboard: [[{ text: 'Play', web_app: { url: url } }]],
+        resize_keyboard: true,
+        is_persistent: true
+    };
+}
+
+/**
+ * Command name of a message, without the leading slash or a @botname suffix.
+ * @param {string=} text
+ * @return {?string}
+ */
+function parseCommand(text) {
+    const match = /^\/([a-z_]+)(?:@\w+)?(?:\s|$)/i.exec(text || '');
+    return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * @param {Object} user Telegram user.
+ * @return {string}
+ */
+function formatName(user) {
+    return [user.first_name, user.last_name].filter(Boolean).join(' ') ||
+        (user.username ? '@' + user.username : 'Player ' + user.id);
+}
+
+/**
+ * Long-polling bot.
+ * @param {Object} options
+ *     api: BotApi instance.
+ *     store: ScoreStore the runs are recorded in.
+ *     webAppUrl: Game URL for the Play button sent with /start.
+ *     pollTimeout: getUpdates timeout in seconds.
+ *     retryDelay: Wait in ms after a failed getUpdates.
+ * @constructor
+ */
+function Bot(options) {
+    if (!options || !options.api || !options.store) {
+        throw new Error('api and store are required');
+    }
+    this.api = options.api;
+    this.store = options.store;
+    this.webAppUrl = options.webAppUrl || null;
+    this.pollTimeout = options.pollTimeout || POLL_TIMEOUT;
+    this.retryDelay = options.retryDelay || RETRY_DELAY;
+    this.offset = 0;
+    this.running = false;
+    this.retryTimer = null;
+}
+
+Bot.prototype = {
+    start: function () {
+        if (this.running) return;
+        this.running = true;
+        this.poll();
+    },
+
+    stop: function () {
+        this.running = false;
+        clearTimeout(this.retryTimer);
+        this.api.abort();
+    },
+
+    /**
+     * Fetch and handle one batch of updates, then poll again.
+     */
+    poll: function () {
+        if (!this.running) return;
+
+        this.api.call('getUpdates', {
+            offset: this.offset,
+            timeout: this.pollTimeout,
+            allowed_updates: ['message']
+        }, (this.pollTimeout + 10) * 1000).then((updates) => {
+            // One at a time, so replies go out in order. The offset moves
+            // past an update before it is handled, so one that keeps failing
+            // is not fetched again.
+            return updates.reduce((previous, update) => previous.then(() => {
+                this.offset = update.update_id + 1;
+                // Inside a then, so a handler that throws is caught too.
+                return Promise.resolve().then(() => this.handleUpdate(update))
+                    .catch((error) => {
+                        console.error('Failed to handle update ' + update.update_id + ':', error);
+                    });
+            }), Promise.resolve()).then(() => 0);
+        }, (error) => {
+            if (!this.running) return 0;
+            console.warn('getUpdates failed:', error.message);
+            return error.retryAfter ? error.retryAfter * 1000 : this.retryDelay;
+        }).then((delay) => {
+            if (delay) {
+                this.retryTimer = setTimeout(() => this.poll(), delay);
+            } else {
+                this.poll();
+            }
+        });
+    },
+
+    /**
+     * @param {Object} update
+     * @return {Promise}
+     */
+    handleUpdate: function (update) {
+        const message = update.message;
+
+        if (!message || !message.from) {
+            return Promise.resolve();
+        }
+        if (message.web_app_data) {
+            return this.onRunData(message);
+        }
+
+        // Own keys only, so /__proto__ or /constructor is no command.
+        const name = parseCommand(message.text);
+        if (!name || !Object.prototype.hasOwnProperty.call(this.commands, name)) {
+            return Promise.resolve();
+        }
+        return this.reply(message, this.commands[name].call(this, message));
+    },
+
+    /**
+     * Record a run sent from the game and answer with the player's stats.
+     * @param {Object} message Message with web_app_data.
+     * @return {Promise}
+     */
+    onRunData: function (message) {
+        const result = parseRunData(message.web_app_data.data);
+
+        if (!result.ok) {
+            console.warn('Rejected web_app_data from ' + message.from.id + ':', result.error);
+            return this.reply(message, 'Sorry, that run could not be read.');
+        }
+
+        const saved = this.store.addScore(message.from, result.run.score, {
+            platform: result.run.platform,
+            source: 'web_app_data'
+        });
+
+        return this.reply(message, [
+            'Run saved: ' + result.run.score +
+                (saved.isHighScore ? '. New personal best!' : '.'),
+            this.describeStats(message.from.id)
+        ].join('\n\n'));
+    },
+
+    /**
+     * Replies to commands, keyed by command name: a text, or a text with
+     * reply markup.
+     * @enum {function(Object): (string|{text: string, reply_markup: Object})}
+     */
+    commands: {
+        start: function () {
+            const text = '/stats - your best, rank and recent runs\n' +
+                '/top - best players';
+
+            if (!this.webAppUrl) {
+                return 'Your runs are kept here.\n\n' + text;
+            }
+            return {
+                text: 'Play with the button below, and your new bests are ' +
+                    'sent here to keep track of your runs.\n\n' + text,
+                reply_markup: createPlayKeyboard(this.webAppUrl)
+            };
+        },
+
+        help: function (message) {
+            return this.commands.start.call(this, message);
+        },
+
+        stats: function (message) {
+            return this.describeStats(message.from.id);
+        },
+
+        top: function () {
+            const ranking = this.store.getRanking().slice(0, TOP_SIZE);
+
+            if (!ranking.length) {
+                return 'No scores yet.';
+            }
+            return ['Top players:'].concat(ranking.map((row) => {
+                return row.rank + '. ' + formatName(row.user) + ' - ' + row.score;
+            })).join('\n');
+        }
+    },
+
+    /**
+     * Best score, rank and recent runs of a player.
+     * @param {number} userId
+     * @return {string}
+     */
+    describeStats: function (userId) {
+        const entry = this.store.getUser(userId);
+
+        if (!entry) {
+            return 'No runs yet. Play a round and send your score!';
+        }
+
+        const ranking = this.store.getRanking();
+        const self = ranking.find((row) => row.user.id == userId);
+        const lines = ['Best: ' + entry.bestScore];
+
+        if (self) {
+            lines.push('Rank: #' + self.rank + ' of ' + ranking.length);
+        }
+        lines.push('Runs: ' + (entry.runs || entry.scores.length));
+        lines.push('Recent: ' + entry.scores.slice(0, HISTORY_SIZE)
+            .map((run) => run.score).join(', '));
+        return lines.join('\n');
+    },
+
+    /**
+     * @param {Object} message Message to answer.
+     * @param {string|{text: string, reply_markup: Object}} reply
+     * @return {Promise<Object>} The sent message.
+     */
+    reply: function (message, reply) {
+        return this.api.call('sendMessage', Object.assign({ chat_id: message.chat.id },
+            typeof reply == 'string' ? { text: reply } : reply));
+    }
+};
+
+module.exports = {
+    Bot: Bot,
+    parseRunData: parseRunData,
+    parseCommand: parseCommand
+};
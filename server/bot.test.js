@@ -0,0 +1,104 @@
+// Runs the bot against the Bot API stand-in in botApiStub.js.
+//
+// Usage:
+//   node --test server/
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const { Bot } = require('./bot');
+const BotApi = require('./botApi');
+const { createBotApiStub } = require('./botApiStub');
+const ScoreStore = require('./scoreStore');
+
+const TOKEN = '123456:test-token';
+const ANN = { id: 1, first_name: 'Ann' };
+const BOB = { id: 2, first_name: 'Bob' };
+
+/**
+ * Wait until the stand-in has sent count messages.
+ * @param {http.Server} stub
+ * @param {number} count
+ * @return {Promise<Array<Object>>} The sendMessage parameters.
+ */
+function waitForSent(stub, count) {
+    return new Promise((resolve, reject) => {
+        const started = Date.now();
+        const check = () => {
+            if (stub.sent.length >= count) {
+                resolve(stub.sent.slice());
+            } else if (Date.now() - started > 5000) {
+                reject(new Error('sent ' + stub.sent.length + ' of ' + count + ' messages'));
+            } else {
+                setTimeout(check, 10);
+            }
+        };
+        check();
+    });
+}
+
+/**
+ * @param {Object} from
+ * @param {string} text
+ * @return {Object} Update without update_id.
+ */
+function textMessage(from, text) {
+    return {
+        message: {
+            message_id: 1,
+            date: Math.floor(Date.now() / 1000),
+            from: from,
+            chat: { id: from.id, type: 'private' },
+            text: text
+        }
+    };
+}
+
+test('bot answers commands and records runs through the Bot API', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trex-bot-'));
+    const stub = createBotApiStub({ token: TOKEN });
+    await new Promise((resolve) => stub.listen(0, resolve));
+
+    const bot = new Bot({
+        api: new BotApi(TOKEN, 'http://localhost:' + stub.address().port),
+        store: new ScoreStore(path.join(dir, 'runs.json')),
+        webAppUrl: 'https://example.com/game/',
+        pollTimeout: 1
+    });
+    t.after(() => {
+        bot.stop();
+        stub.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    bot.start();
+
+    stub.pushUpdate(textMessage(ANN, '/start'));
+    let sent = await waitForSent(stub, 1);
+    assert.deepStrictEqual(sent[0].reply_markup.keyboard[0][0].web_app,
+        { url: 'https://example.com/game/' });
+
+    stub.pushUpdate(textMessage(ANN, '/stats'));
+    sent = await waitForSent(stub, 2);
+    assert.match(sent[1].text, /No runs yet/);
+
+    stub.sendWebAppData(ANN, JSON.stringify({ score: 420, platform: 'telegram_webapp' }));
+    stub.sendWebAppData(BOB, JSON.stringify({ score: 900 }));
+    stub.sendWebAppData(BOB, 'not json');
+    sent = await waitForSent(stub, 5);
+    assert.match(sent[2].text, /^Run saved: 420\. New personal best!/);
+    assert.match(sent[2].text, /Best: 420/);
+    assert.match(sent[3].text, /Rank: #1 of 2/);
+    assert.strictEqual(sent[4].text, 'Sorry, that run could not be read.');
+
+    // Names of Object.prototype members are no commands, and polling goes on.
+    stub.pushUpdate(textMessage(ANN, '/__proto__'));
+    stub.pushUpdate(textMessage(ANN, '/constructor'));
+    stub.pushUpdate(textMessage(ANN, '/top'));
+    sent = await waitForSent(stub, 6);
+    assert.strictEqual(sent[5].text, 'Top players:\n1. Bob - 900\n2. Ann - 420');
+    assert.strictEqual(sent[5].chat_id, ANN.id);
+});
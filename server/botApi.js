@@ -0,0 +1,105 @@
+// Minimal Telegram Bot API client.
+// See https://core.telegram.org/bots/api#making-requests
+
+'use strict';
+
+const http = require('http');
+const https = require('https');
+
+/**
+ * Bot API server used unless another root is given, e.g. a local Bot API
+ * server or the stand-in in botApiStub.js.
+ * @const
+ */
+const DEFAULT_API_ROOT = 'https://api.telegram.org';
+
+/**
+ * Request timeout in ms for methods that do not long-poll.
+ * @const
+ */
+const DEFAULT_TIMEOUT = 10000;
+
+/**
+ * @param {string} token Bot token.
+ * @param {string=} opt_apiRoot Base URL of the Bot API server.
+ * @constructor
+ */
+function BotApi(token, opt_apiRoot) {
+    if (!token) {
+        throw new Error('token is required');
+    }
+    this.token = token;
+    this.apiRoot = (opt_apiRoot || DEFAULT_API_ROOT).replace(/\/+$/, '');
+    this.requests = new Set();
+}
+
+BotApi.prototype = {
+    /**
+     * Call a Bot API method with JSON parameters.
+     * @param {string} method
+     * @param {Object=} opt_params
+     * @param {number=} opt_timeout Request timeout in ms.
+     * @return {Promise<*>} The method's result. Rejects with an error that
+     *     carries the API's error_code as status and, when rate limited,
+     *     retryAfter in seconds.
+     */
+    call: function (method, opt_params, opt_timeout) {
+        const url = new URL(this.apiRoot + '/bot' + this.token + '/' + method);
+        const transport = url.protocol == 'https:' ? https : http;
+        const body = JSON.stringify(opt_params || {});
+
+        return new Promise((resolve, reject) => {
+            const req = transport.request(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Content-Length': Buffer.byteLength(body)
+                },
+                timeout: opt_timeout || DEFAULT_TIMEOUT
+            }, (res) => {
+                const chunks = [];
+
+                res.on('data', (chunk) => chunks.push(chunk));
+                res.on('end', () => {
+                    this.requests.delete(req);
+
+                    let response;
+                    try {
+                        response = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+                    } catch (error) {
+                        reject(Object.assign(new Error(method + ': invalid response'),
+                            { status: res.statusCode }));
+                        return;
+                    }
+                    if (response.ok) {
+                        resolve(response.result);
+                        return;
+                    }
+                    reject(Object.assign(new Error(method + ': ' +
+                        (response.description || 'request failed')), {
+                        status: response.error_code || res.statusCode,
+                        retryAfter: response.parameters && response.parameters.retry_after
+                    }));
+                });
+            });
+
+            this.requests.add(req);
+            req.on('timeout', () => req.destroy(new Error(method + ': timed out')));
+            req.on('error', (error) => {
+                this.requests.delete(req);
+                reject(error);
+            });
+            req.end(body);
+        });
+    },
+
+    /**
+     * Abort all requests in flight, e.g. a pending getUpdates on shutdown.
+     */
+    abort: function () {
+        this.requests.forEach((req) => req.destroy(new Error('aborted')));
+        this.requests.clear();
+    }
+};
+
+module.exports = BotApi;
@@ -0,0 +1,192 @@
+// Local stand-in for the Telegram Bot API, for developing and testing the bot
+// without a real token or network access. Implements getMe, getUpdates with
+// long polling and sendMessage, and lets updates be queued by hand.
+//
+// Usage:
+//   BOT_TOKEN=123456:test-token PORT=8081 node server/botApiStub.js
+//   BOT_TOKEN=123456:test-token BOT_POLLING=1 BOT_API_ROOT=http://localhost:8081 \
+//       node server/index.js
+//
+// Queue a run as if sent from the game, then read the bot's replies:
+//   curl -d '{"from": {"id": 1, "first_name": "Ann"}, "data": "{\"score\": 420}"}' \
+//       http://localhost:8081/stub/web_app_data
+//   curl http://localhost:8081/stub/sent
+
+'use strict';
+
+const http = require('http');
+const { readJson, sendJson } = require('./app');
+
+/**
+ * Most updates returned by one getUpdates call.
+ * @const
+ */
+const MAX_UPDATES = 100;
+
+/**
+ * Create the stand-in server.
+ * @param {Object} options
+ *     token: Bot token accepted in method URLs.
+ * @return {http.Server} With pushUpdate(update), sendWebAppData(from, data)
+ *     and the sent array of sendMessage parameters.
+ */
+function createBotApiStub(options) {
+    if (!options || !options.token) {
+        throw new Error('token is required');
+    }
+
+    const updates = [];
+    const waiters = [];
+    const sent = [];
+    let nextUpdateId = 1;
+    let nextMessageId = 1;
+
+    /**
+     * Queue an update and wake pending getUpdates calls.
+     * @param {Object} update Update without update_id.
+     * @return {number} The assigned update_id.
+     */
+    function pushUpdate(update) {
+        const queued = Object.assign({ update_id: nextUpdateId++ }, update);
+        updates.push(queued);
+        waiters.splice(0).forEach((waiter) => waiter());
+        return queued.update_id;
+    }
+
+    /**
+     * Queue a web_app_data message, as sent by Telegram.WebApp.sendData() from
+     * a Mini App opened with a keyboard button.
+     * @param {Object} from Telegram user.
+     * @param {string} data
+     * @return {number} The assigned update_id.
+     */
+    function sendWebAppData(from, data) {
+        return pushUpdate({
+            message: {
+                message_id: nextMessageId++,
+                date: Math.floor(Date.now() / 1000),
+                from: from,
+                chat: { id: from.id, type: 'private', first_name: from.first_name },
+                web_app_data: { data: data, button_text: 'Play' }
+            }
+        });
+    }
+
+    const methods = {
+        getMe: function () {
+            return { id: 1, is_bot: true, first_name: 'T-Rex Stub', username: 'trex_stub_bot' };
+        },
+
+        getUpdates: function (params) {
+            const offset = params.offset || 0;
+            const timeout = Math.max(0, Number(params.timeout) || 0);
+
+            // An offset confirms every update before it.
+            while (updates.length && updates[0].update_id < offset) {
+                updates.shift();
+            }
+            if (updates.length || !timeout) {
+                return updates.slice(0, MAX_UPDATES);
+            }
+
+            return new Promise((resolve) => {
+                const respond = () => {
+                    clearTimeout(timer);
+                    const index = waiters.indexOf(respond);
+                    if (index != -1) {
+                        waiters.splice(index, 1);
+                    }
+                    resolve(updates.slice(0, MAX_UPDATES));
+                };
+                const timer = setTimeout(respond, timeout * 1000);
+                waiters.push(respond);
+            });
+        },
+
+        sendMessage: function (params) {
+            if (!params.chat_id || typeof params.text != 'string' || !params.text) {
+                throw Object.assign(new Error('Bad Request: message text is empty'),
+                    { status: 400 });
+            }
+            sent.push(params);
+            return {
+                message_id: nextMessageId++,
+                date: Math.floor(Date.now() / 1000),
+                chat: { id: params.chat_id, type: 'private' },
+                text: params.text
+            };
+        }
+    };
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const call = /^\/bot([^/]+)\/(\w+)$/.exec(url.pathname);
+
+        if (req.method == 'POST' && url.pathname == '/stub/web_app_data') {
+            readJson(req).then((body) => {
+                if (!body.from || !Number.isInteger(body.from.id) || typeof body.data != 'string') {
+                    throw Object.assign(new Error('from.id and data are required'), { status: 400 });
+                }
+                sendJson(res, 200, { ok: true, update_id: sendWebAppData(body.from, body.data) });
+            }).catch((error) => sendJson(res, error.status || 400, { ok: false, error: error.message }));
+            return;
+        }
+        if (req.method == 'POST' && url.pathname == '/stub/updates') {
+            readJson(req).then((body) => {
+                sendJson(res, 200, { ok: true, update_id: pushUpdate(body) });
+            }).catch((error) => sendJson(res, error.status || 400, { ok: false, error: error.message }));
+            return;
+        }
+        if (req.method == 'GET' && url.pathname == '/stub/sent') {
+            sendJson(res, 200, { ok: true, sent: sent });
+            return;
+        }
+
+        if (!call || call[1] != options.token) {
+            sendJson(res, 401, { ok: false, error_code: 401, description: 'Unauthorized' });
+            return;
+        }
+        const method = methods[call[2]];
+        if (!method) {
+            sendJson(res, 404, { ok: false, error_code: 404, description: 'Not Found: method not found' });
+            return;
+        }
+
+        readJson(req)
+            .then((params) => method(params))
+            .then((result) => sendJson(res, 200, { ok: true, result: result }))
+            .catch((error) => {
+                const status = error.status || 500;
+                sendJson(res, status, { ok: false, error_code: status, description: error.message });
+            });
+    });
+
+    // Answer pending long polls so close() does not wait for their timeouts.
+    const close = server.close.bind(server);
+    server.close = (callback) => {
+        waiters.slice().forEach((waiter) => waiter());
+        return close(callback);
+    };
+
+    server.pushUpdate = pushUpdate;
+    server.sendWebAppData = sendWebAppData;
+    server.sent = sent;
+    return server;
+}
+
+module.exports = {
+    createBotApiStub: createBotApiStub
+};
+
+if (require.main === module) {
+    const token = process.env.BOT_TOKEN;
+    if (!token) {
+        console.error('BOT_TOKEN is not set');
+        process.exit(1);
+    }
+    const port = Number(process.env.PORT) || 8081;
+
+    createBotApiStub({ token: token }).listen(port, () => {
+        console.log('Bot API stand-in listening on port ' + port);
+    });
+}
@@ -0,0 +1,66 @@
+// Score backend for the T-Rex Telegram Mini App.
+//
+// Usage:
+//   BOT_TOKEN=123456:test-token PORT=8080 node server/index.js
+//
+// Environment:
+//   BOT_TOKEN     Bot token used to validate WebApp initData (required).
+//   PORT          Port to listen on, 8080 by default.
+//   DATA_DIR      Directory for scores and score cards, server/data by default.
+//   MAX_AUTH_AGE  Maximum age of initData auth_date in seconds.
+//   ALLOWED_ORIGIN  Access-Control-Allow-Origin for the game page.
+//   PUBLIC_URL    Base URL the server is reachable at, for shared card links.
+//                 Score cards are disabled without it.
+//   BOT_POLLING   Set to run the bot too, receiving runs sent from the game
+//                 with getUpdates long polling.
+//   BOT_API_ROOT  Bot API server, https://api.telegram.org by default. See
+//                 botApiStub.js for a local stand-in.
+//   WEB_APP_URL   Game URL (https) for the Play button the bot sends with
+//                 /start. Runs only reach the bot from a game opened with it.
+
+'use strict';
+
+const path = require('path');
+const { createServer } = require('./app');
+const { Bot } = require('./bot');
+const BotApi = require('./botApi');
+const ScoreStore = require('./scoreStore');
+
+const botToken = process.env.BOT_TOKEN;
+if (!botToken) {
+    console.error('BOT_TOKEN is not set');
+    process.exit(1);
+}
+
+const dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+const port = Number(process.env.PORT) || 8080;
+
+const server = createServer({
+    botToken: botToken,
+    store: new ScoreStore(path.join(dataDir, 'scores.json')),
+    maxAuthAge: Number(process.env.MAX_AUTH_AGE) || undefined,
+    allowedOrigin: process.env.ALLOWED_ORIGIN,
+    cardsDir: process.env.PUBLIC_URL ? path.join(dataDir, 'cards') : undefined,
+    publicUrl: process.env.PUBLIC_URL
+});
+
+server.listen(port, () => {
+    console.log('Score server listening on port ' + port);
+});
+
+if (process.env.BOT_POLLING) {
+    // Runs sent to the bot are kept apart from API submissions: the game
+    // reports a high score both ways, and counting it twice would skew the
+    // run history.
+    const bot = new Bot({
+        api: new BotApi(botToken, process.env.BOT_API_ROOT),
+        store: new ScoreStore(path.join(dataDir, 'runs.json')),
+        webAppUrl: process.env.WEB_APP_URL
+    });
+    bot.start();
+    console.log('Bot polling for updates');
+    if (!process.env.WEB_APP_URL) {
+        console.warn('WEB_APP_URL is not set, so /start sends no Play button ' +
+            'and no runs can reach the bot');
+    }
+}
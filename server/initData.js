@@ -0,0 +1,139 @@
+// Telegram WebApp initData validation.
+// See https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app
+
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Maximum accepted age of auth_date, in seconds.
+ * @const
+ */
+const DEFAULT_MAX_AGE = 24 * 60 * 60;
+
+/**
+ * How far ahead of this server's clock auth_date may be, in seconds.
+ * @const
+ */
+const MAX_CLOCK_SKEW = 60;
+
+/**
+ * Derive the secret key used to sign initData for a bot.
+ * @param {string} botToken
+ * @return {Buffer}
+ */
+function getSecretKey(botToken) {
+    return crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+}
+
+/**
+ * Build the data-check-string: all fields except hash, sorted by key,
+ * joined as key=value lines.
+ * @param {URLSearchParams} params
+ * @return {string}
+ */
+function getDataCheckString(params) {
+    const pairs = [];
+    params.forEach((value, key) => {
+        if (key != 'hash') {
+            pairs.push(key + '=' + value);
+        }
+    });
+    return pairs.sort().join('\n');
+}
+
+/**
+ * @param {URLSearchParams} params
+ * @param {string} botToken
+ * @return {string} Hex encoded signature.
+ */
+function sign(params, botToken) {
+    return crypto.createHmac('sha256', getSecretKey(botToken))
+        .update(getDataCheckString(params))
+        .digest('hex');
+}
+
+/**
+ * Validate initData received from the WebApp.
+ * @param {string} initData Raw Telegram.WebApp.initData query string.
+ * @param {string} botToken
+ * @param {Object=} opt_options maxAge in seconds, now in milliseconds.
+ * @return {{ok: boolean, error: (string|undefined), data: (Object|undefined)}}
+ */
+function validateInitData(initData, botToken, opt_options) {
+    const options = opt_options || {};
+    const maxAge = options.maxAge || DEFAULT_MAX_AGE;
+    const now = options.now || Date.now();
+
+    if (!initData || typeof initData != 'string') {
+        return { ok: false, error: 'missing initData' };
+    }
+
+    const params = new URLSearchParams(initData);
+    const hash = params.get('hash');
+    if (!hash || !/^[0-9a-f]{64}$/.test(hash)) {
+        return { ok: false, error: 'missing hash' };
+    }
+
+    const expected = Buffer.from(sign(params, botToken), 'hex');
+    if (!crypto.timingSafeEqual(expected, Buffer.from(hash, 'hex'))) {
+        return { ok: false, error: 'invalid signature' };
+    }
+
+    const authDate = Number(params.get('auth_date'));
+    if (!authDate || now / 1000 - authDate > maxAge) {
+        return { ok: false, error: 'stale auth_date' };
+    }
+    if (authDate - now / 1000 > MAX_CLOCK_SKEW) {
+        return { ok: false, error: 'future auth_date' };
+    }
+
+    let user = null;
+    try {
+        user = JSON.parse(params.get('user'));
+    } catch (error) {
+        user = null;
+    }
+    if (!user || typeof user.id != 'number') {
+        return { ok: false, error: 'missing user' };
+    }
+
+    return {
+        ok: true,
+        data: {
+            user: user,
+            authDate: authDate,
+            chatInstance: params.get('chat_instance'),
+            chatType: params.get('chat_type'),
+            startParam: params.get('start_param'),
+            queryId: params.get('query_id')
+        }
+    };
+}
+
+/**
+ * Produce signed initData, as Telegram would, for local development and
+ * integration tests with a test bot token.
+ * @param {Object} fields Fields to include. Objects are JSON encoded.
+ * @param {string} botToken
+ * @return {string}
+ */
+function signInitData(fields, botToken) {
+    const params = new URLSearchParams();
+    const values = Object.assign({
+        auth_date: Math.floor(Date.now() / 1000)
+    }, fields);
+
+    Object.keys(values).forEach((key) => {
+        const value = values[key];
+        params.set(key, typeof value == 'object' ? JSON.stringify(value) : String(value));
+    });
+    params.set('hash', sign(params, botToken));
+    return params.toString();
+}
+
+module.exports = {
+    DEFAULT_MAX_AGE: DEFAULT_MAX_AGE,
+    validateInitData: validateInitData,
+    signInitData: signInitData
+};
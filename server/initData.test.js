@@ -0,0 +1,72 @@
+// Validates initData signed with a test bot token, as Telegram signs it.
+//
+// Usage:
+//   node --test server/
+
+'use strict';
+
+const assert = require('assert');
+const test = require('node:test');
+const { validateInitData, signInitData, DEFAULT_MAX_AGE } = require('./initData');
+
+const TOKEN = '123456:test-token';
+const USER = { id: 1, first_name: 'Ann' };
+
+/**
+ * @param {number} offset Seconds from now.
+ * @return {number} auth_date value.
+ */
+function authDate(offset) {
+    return Math.floor(Date.now() / 1000) + offset;
+}
+
+test('accepts initData signed with the bot token', () => {
+    const result = validateInitData(
+        signInitData({ user: USER, chat_instance: '42', start_param: 'daily' }, TOKEN), TOKEN);
+
+    assert.strictEqual(result.ok, true);
+    assert.deepStrictEqual(result.data.user, USER);
+    assert.strictEqual(result.data.chatInstance, '42');
+    assert.strictEqual(result.data.startParam, 'daily');
+});
+
+test('rejects missing initData and hashes', () => {
+    assert.strictEqual(validateInitData('', TOKEN).error, 'missing initData');
+    assert.strictEqual(validateInitData(undefined, TOKEN).error, 'missing initData');
+    assert.strictEqual(validateInitData('user=1', TOKEN).error, 'missing hash');
+    assert.strictEqual(validateInitData('user=1&hash=abc', TOKEN).error, 'missing hash');
+});
+
+test('rejects a bad hash', () => {
+    const otherToken = validateInitData(signInitData({ user: USER }, '654321:other'), TOKEN);
+    assert.strictEqual(otherToken.error, 'invalid signature');
+
+    // Changing a signed field breaks the signature.
+    const params = new URLSearchParams(signInitData({ user: USER }, TOKEN));
+    params.set('user', JSON.stringify({ id: 2, first_name: 'Bob' }));
+    assert.strictEqual(validateInitData(params.toString(), TOKEN).error, 'invalid signature');
+});
+
+test('rejects a stale auth_date', () => {
+    const initData = signInitData({ user: USER, auth_date: authDate(-DEFAULT_MAX_AGE - 10) }, TOKEN);
+    assert.strictEqual(validateInitData(initData, TOKEN).error, 'stale auth_date');
+
+    const recent = signInitData({ user: USER, auth_date: authDate(-30) }, TOKEN);
+    assert.strictEqual(validateInitData(recent, TOKEN, { maxAge: 10 }).error, 'stale auth_date');
+    assert.strictEqual(validateInitData(recent, TOKEN, { maxAge: 60 }).ok, true);
+});
+
+test('rejects an auth_date in the future', () => {
+    const initData = signInitData({ user: USER, auth_date: authDate(3600) }, TOKEN);
+    assert.strictEqual(validateInitData(initData, TOKEN).error, 'future auth_date');
+
+    // A little clock skew is allowed.
+    const skewed = signInitData({ user: USER, auth_date: authDate(5) }, TOKEN);
+    assert.strictEqual(validateInitData(skewed, TOKEN).ok, true);
+});
+
+test('rejects initData without a user', () => {
+    assert.strictEqual(validateInitData(signInitData({}, TOKEN), TOKEN).error, 'missing user');
+    assert.strictEqual(validateInitData(signInitData({ user: 'Ann' }, TOKEN), TOKEN).error,
+        'missing user');
+});
@@ -0,0 +1,222 @@
+// File-backed score storage, keyed by Telegram user id.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Number of recent scores kept per user.
+ * @const
+ */
+const MAX_RECENT_SCORES = 20;
+
+/**
+ * Highest score accepted from a client.
+ * @const
+ */
+const MAX_SCORE = 10000000;
+
+/**
+ * Default number of leaderboard rows returned.
+ * @const
+ */
+const DEFAULT_LEADERBOARD_SIZE = 10;
+
+/**
+ * Days of Daily Run results kept.
+ * @const
+ */
+const DAILY_DAYS_KEPT = 30;
+
+/**
+ * JSON file store. The whole file is read on creation and rewritten
+ * atomically after every change, which is plenty for a single bot.
+ * @param {string} filePath
+ * @constructor
+ */
+function ScoreStore(filePath) {
+    this.filePath = filePath;
+    this.data = { users: {}, daily: {} };
+    this.load();
+}
+
+ScoreStore.prototype = {
+    load: function () {
+        try {
+            this.data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            this.data.users = this.data.users || {};
+            this.data.daily = this.data.daily || {};
+        } catch (error) {
+            if (error.code != 'ENOENT') {
+                console.warn('Failed to read score store, starting empty:', error.message);
+            }
+        }
+    },
+
+    save: function () {
+        const tmpPath = this.filePath + '.tmp';
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(tmpPath, JSON.stringify(this.data));
+        fs.renameSync(tmpPath, this.filePath);
+    },
+
+    /**
+     * The stored entry of a user, created if new, with the profile brought
+     * up to date.
+     * @param {Object} user Telegram user from validated initData.
+     * @return {Object}
+     */
+    updateUser: function (user) {
+        const id = String(user.id);
+        const entry = this.data.users[id] || { bestScore: 0, runs: 0, scores: [] };
+
+        entry.user = {
+            id: user.id,
+            first_name: user.first_name,
+            last_name: user.last_name,
+            username: user.username,
+            photo_url: user.photo_url
+        };
+        this.data.users[id] = entry;
+        return entry;
+    },
+
+    /**
+     * Record a score for a user.
+     * @param {Object} user Telegram user from validated initData.
+     * @param {number} score
+     * @param {Object=} opt_meta Extra fields stored with the score.
+     * @return {{bestScore: number, isHighScore: boolean}}
+     */
+    addScore: function (user, score, opt_meta) {
+        const entry = this.updateUser(user);
+        const isHighScore = score > entry.bestScore;
+        const chatInstance = opt_meta && opt_meta.chatInstance;
+
+        if (isHighScore) {
+            entry.bestScore = score;
+        }
+        // Best score per chat the game was launched from.
+        if (chatInstance) {
+            entry.chatBest = entry.chatBest || {};
+            entry.chatBest[chatInstance] = Math.max(entry.chatBest[chatInstance] || 0, score);
+        }
+        // Total runs, older entries were written before the count existed.
+        entry.runs = (entry.runs || entry.scores.length) + 1;
+        entry.scores.unshift(Object.assign({ score: score, date: Date.now() }, opt_meta));
+        entry.scores.length = Math.min(entry.scores.length, MAX_RECENT_SCORES);
+        this.save();
+
+        return { bestScore: entry.bestScore, isHighScore: isHighScore };
+    },
+
+    /**
+     * Record a Daily Run. The first score of a user for a day is ranked;
+     * later ones are practice and ignored. Daily Runs are ranked by day
+     * only, never by best score.
+     * @param {Object} user Telegram user from validated initData.
+     * @param {string} day UTC day, e.g. '2026-10-19'.
+     * @param {number} score
+     * @return {{ranked: boolean, score: number}} Whether this score was
+     *     recorded, and the user's score for the day.
+     */
+    addDailyScore: function (user, day, score) {
+        const id = String(user.id);
+        const results = this.data.daily[day] = this.data.daily[day] || {};
+
+        if (results[id]) {
+            return { ranked: false, score: results[id].score };
+        }
+        this.updateUser(user);
+        results[id] = { score: score, date: Date.now() };
+
+        // Days sort as strings; drop the oldest beyond the retention window.
+        Object.keys(this.data.daily).sort().reverse().slice(DAILY_DAYS_KEPT)
+            .forEach((oldDay) => delete this.data.daily[oldDay]);
+        this.save();
+
+        return { ranked: true, score: score };
+    },
+
+    /**
+     * @param {number|string} userId
+     * @return {Object} The stored entry, or null.
+     */
+    getUser: function (userId) {
+        return this.data.users[String(userId)] || null;
+    },
+
+    /**
+     * All players ordered by best score, globally or within one chat.
+     * @param {string=} opt_chatInstance
+     * @return {Array<{rank: number, user: Object, score: number}>}
+     */
+    getRanking: function (opt_chatInstance) {
+        const users = this.data.users;
+
+        return Object.keys(users).map((id) => {
+            const entry = users[id];
+            const score = opt_chatInstance ?
+                (entry.chatBest && entry.chatBest[opt_chatInstance]) || 0 :
+                entry.bestScore;
+            return { user: entry.user, score: score };
+        }).filter((row) => row.score > 0).sort((a, b) => {
+            return b.score - a.score || a.user.id - b.user.id;
+        }).map((row, index) => {
+            row.rank = index + 1;
+            return row;
+        });
+    },
+
+    /**
+     * Players ordered by their ranked Daily Run score of a day.
+     * @param {string} day
+     * @return {Array<{rank: number, user: Object, score: number}>}
+     */
+    getDailyRanking: function (day) {
+        const results = this.data.daily[day] || {};
+
+        return Object.keys(results).filter((id) => this.data.users[id]).map((id) => {
+            return { user: this.data.users[id].user, score: results[id].score };
+        }).sort((a, b) => {
+            return b.score - a.score || a.user.id - b.user.id;
+        }).map((row, index) => {
+            row.rank = index + 1;
+            return row;
+        });
+    },
+
+    /**
+     * Leaderboard rows for a scope.
+     * @param {Object} options
+     *     scope: 'global', 'chat', 'around' or 'daily'. 'around' returns the
+     *         rows surrounding the player, within the chat when one is given.
+     *     userId: Requesting player.
+     *     chatInstance: Chat the game was opened from.
+     *     day: Day of the 'daily' scope.
+     *     limit: Number of rows.
+     * @return {{entries: Array<Object>, self: Object}}
+     */
+    getLeaderboard: function (options) {
+        const limit = options.limit || DEFAULT_LEADERBOARD_SIZE;
+        const ranking = options.scope == 'daily' ? this.getDailyRanking(options.day) :
+            this.getRanking(options.scope == 'global' ? null : options.chatInstance);
+        const selfIndex = ranking.findIndex((row) => row.user.id == options.userId);
+        let start = 0;
+
+        if (options.scope == 'around' && selfIndex != -1) {
+            start = Math.max(0, Math.min(selfIndex - Math.floor(limit / 2),
+                ranking.length - limit));
+        }
+
+        return {
+            entries: ranking.slice(start, start + limit),
+            self: selfIndex == -1 ? null : ranking[selfIndex]
+        };
+    }
+};
+
+ScoreStore.MAX_SCORE = MAX_SCORE;
+
+module.exports = ScoreStore;
@@ -0,0 +1,539 @@
+// Offline stand-in for the Telegram WebApp SDK, for development and manual
+// testing in a normal browser. Enabled with ?tgmock (light theme) or
+// ?tgmock=dark; without the flag this script does nothing.
+//
+// Options:
+//   tgmock_cloud=offline  CloudStorage calls fail.
+//   tgmock_cloud=slow     CloudStorage calls answer after 5 seconds.
+//   tgmock_lang=ru        language_code of the mock user.
+//   tgWebAppStartParam    start_param, as Telegram passes it.
+//
+// Every SDK call is recorded in TelegramMock.calls. TelegramMock.emit(),
+// setTheme(), setSafeArea() and setViewport() drive the events the game
+// listens to.
+
+(function () {
+    'use strict';
+
+    const query = new URLSearchParams(window.location.search);
+    if (!query.has('tgmock')) {
+        return;
+    }
+
+    /**
+     * Theme presets, in themeParams format.
+     * @enum {Object}
+     */
+    const THEMES = {
+        light: {
+            bg_color: '#ffffff',
+            text_color: '#000000',
+            hint_color: '#999999',
+            link_color: '#2481cc',
+            button_color: '#2481cc',
+            button_text_color: '#ffffff',
+            secondary_bg_color: '#efeff3'
+        },
+        dark: {
+            bg_color: '#212121',
+            text_color: '#ffffff',
+            hint_color: '#aaaaaa',
+            link_color: '#8774e1',
+            button_color: '#8774e1',
+            button_text_color: '#ffffff',
+            secondary_bg_color: '#181818'
+        }
+    };
+
+    /**
+     * CloudStorage delay in milliseconds for each tgmock_cloud mode.
+     * @enum {number}
+     */
+    const CLOUD_DELAYS = {
+        normal: 50,
+        slow: 5000,
+        offline: 50
+    };
+
+    const CLOUD_PREFIX = 'tgmock_cloud_';
+    const cloudMode = query.get('tgmock_cloud') || 'normal';
+    const handlers = {};
+    const calls = [];
+    let popupOpen = false;
+
+    /**
+     * Record an SDK call.
+     * @param {string} method
+     * @param {Array} args
+     */
+    function record(method, args) {
+        calls.push({ method: method, args: Array.prototype.slice.call(args), time: Date.now() });
+        console.debug('[tgmock]', method, ...args);
+    }
+
+    /**
+     * Fire an event to the handlers registered with onEvent.
+     * @param {string} eventType
+     * @param {Object=} opt_data
+     */
+    function emit(eventType, opt_data) {
+        record('emit', [eventType, opt_data]);
+        (handlers[eventType] || []).slice().forEach((handler) => {
+            handler.call(webApp, opt_data);
+        });
+    }
+
+    /**
+     * Bottom button drawn as a real button along the bottom of the page.
+     * @param {string} name MainButton or SecondaryButton.
+     * @param {number} order Position in the bar.
+     * @return {Object}
+     */
+    function createBottomButton(name, order) {
+        const el = document.createElement('button');
+        el.type = 'button';
+        el.style.cssText = 'flex: 1; order: ' + order + '; padding: 12px; border: none;' +
+            'border-radius: 8px; font: 600 15px sans-serif; cursor: pointer;';
+        el.hidden = true;
+
+        const button = {
+            text: '',
+            color: null,
+            textColor: null,
+            isVisible: false,
+            isActive: true,
+            isProgressVisible: false,
+            clickHandlers: [],
+
+            setText(text) {
+                record(name + '.setText', arguments);
+                return this.setParams({ text: text });
+            },
+            setParams(params) {
+                record(name + '.setParams', arguments);
+                if ('text' in params) this.text = params.text;
+                if ('color' in params) this.color = params.color;
+                if ('text_color' in params) this.textColor = params.text_color;
+                if ('is_visible' in params) this.isVisible = params.is_visible;
+                if ('is_active' in params) this.isActive = params.is_active;
+                this.render();
+                return this;
+            },
+            show() {
+                record(name + '.show', arguments);
+                return this.setParams({ is_visible: true });
+            },
+            hide() {
+                record(name + '.hide', arguments);
+                return this.setParams({ is_visible: false });
+            },
+            enable() {
+                record(name + '.enable', arguments);
+                return this.setParams({ is_active: true });
+            },
+            disable() {
+                record(name + '.disable', arguments);
+                return this.setParams({ is_active: false });
+            },
+            showProgress() {
+                record(name + '.showProgress', arguments);
+                this.isProgressVisible = true;
+                this.render();
+                return this;
+            },
+            hideProgress() {
+                record(name + '.hideProgress', arguments);
+                this.isProgressVisible = false;
+                this.render();
+                return this;
+            },
+            onClick(callback) {
+                record(name + '.onClick', arguments);
+                this.clickHandlers.push(callback);
+                return this;
+            },
+            offClick(callback) {
+                record(name + '.offClick', arguments);
+                this.clickHandlers = this.clickHandlers.filter((handler) => handler != callback);
+                return this;
+            },
+            render() {
+                const theme = webApp.themeParams;
+                el.hidden = !this.isVisible;
+                el.disabled = !this.isActive;
+                el.textContent = this.isProgressVisible ? '…' : this.text;
+                el.style.background = this.color || theme.button_color;
+                el.style.color = this.textColor || theme.button_text_color;
+                el.style.opacity = this.isActive ? '1' : '0.6';
+            }
+        };
+
+        el.addEventListener('click', () => {
+            record(name + '.click', []);
+            button.clickHandlers.slice().forEach((handler) => handler());
+        });
+        bottomBar.appendChild(el);
+        return button;
+    }
+
+    /**
+     * Header button (Back or Settings) drawn in the top-left corner.
+     * @param {string} name
+     * @param {string} label
+     * @return {Object}
+     */
+    function createHeaderButton(name, label) {
+        const el = document.createElement('button');
+        el.type = 'button';
+        el.textContent = label;
+        el.hidden = true;
+        el.style.cssText = 'margin-right: 4px; padding: 4px 10px; font: 13px sans-serif;';
+
+        const button = {
+            isVisible: false,
+            clickHandlers: [],
+
+            show() {
+                record(name + '.show', arguments);
+                this.isVisible = true;
+                el.hidden = false;
+                return this;
+            },
+            hide() {
+                record(name + '.hide', arguments);
+                this.isVisible = false;
+                el.hidden = true;
+                return this;
+            },
+            onClick(callback) {
+                record(name + '.onClick', arguments);
+                this.clickHandlers.push(callback);
+                return this;
+            },
+            offClick(callback) {
+                record(name + '.offClick', arguments);
+                this.clickHandlers = this.clickHandlers.filter((handler) => handler != callback);
+                return this;
+            }
+        };
+
+        el.addEventListener('click', () => {
+            record(name + '.click', []);
+            button.clickHandlers.slice().forEach((handler) => handler());
+        });
+        headerBar.appendChild(el);
+        return button;
+    }
+
+    /**
+     * Popup drawn over the page in place of Telegram's native one. Throws on
+     * the same invalid parameters as the real client.
+     * @param {Object} params title, message and up to three buttons.
+     * @param {Function=} callback Called with the pressed button's id, or an
+     *     empty string when dismissed.
+     */
+    function showMockPopup(params, callback) {
+        const buttons = params.buttons || [{ id: '', type: 'close' }];
+        if (!params.message || buttons.length < 1 || buttons.length > 3) {
+            throw new Error('WebAppPopupParamInvalid');
+        }
+        if (popupOpen) {
+            throw new Error('WebAppPopupOpened');
+        }
+        popupOpen = true;
+
+        const labels = { ok: 'OK', close: 'Close', cancel: 'Cancel' };
+        const theme = webApp.themeParams;
+        const backdrop = document.createElement('div');
+        backdrop.style.cssText = 'position: fixed; top: 0; right: 0; bottom: 0; left: 0;' +
+            'z-index: 100001; display: flex; align-items: center; justify-content: center;' +
+            'background: rgba(0, 0, 0, 0.4); font: 15px sans-serif;';
+        const box = document.createElement('div');
+        box.style.cssText = 'max-width: 300px; padding: 16px; border-radius: 10px;' +
+            'background: ' + theme.secondary_bg_color + '; color: ' + theme.text_color + ';';
+
+        const close = (buttonId) => {
+            popupOpen = false;
+            backdrop.remove();
+            record('popupClosed', [buttonId]);
+            callback && callback(buttonId);
+        };
+
+        if (params.title) {
+            const title = document.createElement('strong');
+            title.textContent = params.title;
+            box.appendChild(title);
+        }
+        const message = document.createElement('p');
+        message.textContent = params.message;
+        box.appendChild(message);
+
+        buttons.forEach((button) => {
+            const el = document.createElement('button');
+            el.type = 'button';
+            el.textContent = button.text || labels[button.type] || '';
+            el.style.cssText = 'margin: 0 4px 0 0; padding: 6px 10px; border: none;' +
+                'background: transparent; font: 600 14px sans-serif; cursor: pointer; color: ' +
+                (button.type == 'destructive' ? '#e53935' : theme.button_color) + ';';
+            el.addEventListener('click', () => close(button.id || ''));
+            box.appendChild(el);
+        });
+
+        backdrop.addEventListener('click', (event) => {
+            if (event.target == backdrop) {
+                close('');
+            }
+        });
+        backdrop.appendChild(box);
+        document.body.appendChild(backdrop);
+    }
+
+    /**
+     * Run a CloudStorage callback after the configured delay.
+     * @param {Function=} callback
+     * @param {Function} operation Returns the result.
+     */
+    function cloudCall(callback, operation) {
+        setTimeout(() => {
+            if (cloudMode == 'offline') {
+                callback && callback('STORAGE_UNAVAILABLE');
+                return;
+            }
+            const result = operation();
+            callback && callback(null, result);
+        }, CLOUD_DELAYS[cloudMode] || CLOUD_DELAYS.normal);
+    }
+
+    const bottomBar = document.createElement('div');
+    bottomBar.style.cssText = 'position: fixed; left: 8px; right: 8px; bottom: 8px;' +
+        'z-index: 100000; display: flex; gap: 8px;';
+    const headerBar = document.createElement('div');
+    headerBar.style.cssText = 'position: fixed; left: 8px; top: 8px; z-index: 100000;';
+
+    const theme = THEMES[query.get('tgmock')] || THEMES.light;
+    const user = {
+        id: 1000001,
+        first_name: 'Mock',
+        last_name: 'Player',
+        username: 'mock_player',
+        language_code: query.get('tgmock_lang') || 'en'
+    };
+    const startParam = query.get('tgWebAppStartParam');
+
+    const webApp = {
+        // Empty, so backend calls are skipped and the offline paths run.
+        initData: '',
+        initDataUnsafe: {
+            user: user,
+            chat_instance: '-1000001',
+            chat_type: 'private',
+            auth_date: Math.floor(Date.now() / 1000),
+            start_param: startParam || undefined
+        },
+        version: '8.0',
+        platform: 'unknown',
+        colorScheme: theme == THEMES.dark ? 'dark' : 'light',
+        themeParams: Object.assign({}, theme),
+        isExpanded: false,
+        isFullscreen: false,
+        viewportHeight: window.innerHeight,
+        viewportStableHeight: window.innerHeight,
+        safeAreaInset: { top: 0, right: 0, bottom: 0, left: 0 },
+        contentSafeAreaInset: { top: 0, right: 0, bottom: 0, left: 0 },
+
+        ready() {
+            record('ready', arguments);
+        },
+        expand() {
+            record('expand', arguments);
+            this.isExpanded = true;
+        },
+        close() {
+            record('close', arguments);
+        },
+        enableClosingConfirmation() {
+            record('enableClosingConfirmation', arguments);
+        },
+        disableClosingConfirmation() {
+            record('disableClosingConfirmation', arguments);
+        },
+        isVersionAtLeast(version) {
+            const have = this.version.split('.').map(Number);
+            const want = String(version).split('.').map(Number);
+            for (let i = 0; i < want.length; i++) {
+                if ((have[i] || 0) != want[i]) {
+                    return (have[i] || 0) > want[i];
+                }
+            }
+            return true;
+        },
+        requestFullscreen() {
+            record('requestFullscreen', arguments);
+            this.isFullscreen = true;
+            // Telegram's own header overlaps the page in fullscreen.
+            this.contentSafeAreaInset = { top: 46, right: 0, bottom: 0, left: 0 };
+            setTimeout(() => {
+                emit('fullscreenChanged');
+                emit('contentSafeAreaChanged');
+            });
+        },
+        exitFullscreen() {
+            record('exitFullscreen', arguments);
+            this.isFullscreen = false;
+            this.contentSafeAreaInset = { top: 0, right: 0, bottom: 0, left: 0 };
+            setTimeout(() => {
+                emit('fullscreenChanged');
+                emit('contentSafeAreaChanged');
+            });
+        },
+        lockOrientation() {
+            record('lockOrientation', arguments);
+        },
+        unlockOrientation() {
+            record('unlockOrientation', arguments);
+        },
+        onEvent(eventType, handler) {
+            record('onEvent', arguments);
+            (handlers[eventType] = handlers[eventType] || []).push(handler);
+        },
+        offEvent(eventType, handler) {
+            record('offEvent', arguments);
+            handlers[eventType] = (handlers[eventType] || []).filter((h) => h != handler);
+        },
+        sendData(data) {
+            record('sendData', arguments);
+        },
+        switchInlineQuery(queryText, chatTypes) {
+            record('switchInlineQuery', arguments);
+        },
+        openTelegramLink(url) {
+            record('openTelegramLink', arguments);
+        },
+        showPopup(params, callback) {
+            record('showPopup', arguments);
+            showMockPopup(params, callback);
+        },
+        showAlert(message, callback) {
+            record('showAlert', arguments);
+            showMockPopup({ message: message }, () => callback && callback());
+        },
+        showConfirm(message, callback) {
+            record('showConfirm', arguments);
+            showMockPopup({
+                message: message,
+                buttons: [{ id: 'ok', type: 'ok' }, { id: '', type: 'cancel' }]
+            }, (buttonId) => callback && callback(buttonId == 'ok'));
+        },
+
+        HapticFeedback: {
+            impactOccurred(style) {
+                record('HapticFeedback.impactOccurred', arguments);
+            },
+            notificationOccurred(type) {
+                record('HapticFeedback.notificationOccurred', arguments);
+            },
+            selectionChanged() {
+                record('HapticFeedback.selectionChanged', arguments);
+            }
+        },
+
+        CloudStorage: {
+            setItem(key, value, callback) {
+                record('CloudStorage.setItem', arguments);
+                cloudCall(callback, () => {
+                    localStorage.setItem(CLOUD_PREFIX + key, value);
+                    return true;
+                });
+            },
+            getItem(key, callback) {
+                record('CloudStorage.getItem', arguments);
+                cloudCall(callback, () => localStorage.getItem(CLOUD_PREFIX + key) || '');
+            },
+            getItems(keys, callback) {
+                record('CloudStorage.getItems', arguments);
+                cloudCall(callback, () => {
+                    const values = {};
+                    keys.forEach((key) => {
+                        values[key] = localStorage.getItem(CLOUD_PREFIX + key) || '';
+                    });
+                    return values;
+                });
+            },
+            removeItem(key, callback) {
+                record('CloudStorage.removeItem', arguments);
+                cloudCall(callback, () => {
+                    localStorage.removeItem(CLOUD_PREFIX + key);
+                    return true;
+                });
+            },
+            getKeys(callback) {
+                record('CloudStorage.getKeys', arguments);
+                cloudCall(callback, () => Object.keys(localStorage)
+                    .filter((key) => key.indexOf(CLOUD_PREFIX) == 0)
+                    .map((key) => key.slice(CLOUD_PREFIX.length)));
+            }
+        }
+    };
+
+    webApp.MainButton = createBottomButton('MainButton', 2);
+    webApp.SecondaryButton = createBottomButton('SecondaryButton', 1);
+    webApp.BackButton = createHeaderButton('BackButton', '← Back');
+    webApp.SettingsButton = createHeaderButton('SettingsButton', 'Settings');
+
+    document.addEventListener('DOMContentLoaded', () => {
+        document.body.appendChild(headerBar);
+        document.body.appendChild(bottomBar);
+    });
+
+    window.addEventListener('resize', () => {
+        webApp.viewportHeight = webApp.viewportStableHeight = window.innerHeight;
+        emit('viewportChanged', { isStateStable: true });
+    });
+
+    window.Telegram = { WebApp: webApp };
+
+    window.TelegramMock = {
+        calls: calls,
+        emit: emit,
+
+        /**
+         * Switch theme and fire themeChanged.
+         * @param {string|Object} themeOrName 'light', 'dark' or themeParams.
+         */
+        setTheme(themeOrName) {
+            const params = typeof themeOrName == 'string' ? THEMES[themeOrName] : themeOrName;
+            webApp.themeParams = Object.assign({}, params);
+            webApp.colorScheme = params == THEMES.dark ? 'dark' : 'light';
+            webApp.MainButton.render();
+            webApp.SecondaryButton.render();
+            emit('themeChanged');
+        },
+
+        /**
+         * Set the device safe-area insets and fire safeAreaChanged.
+         * @param {Object} insets top, right, bottom and left in pixels.
+         */
+        setSafeArea(insets) {
+            webApp.safeAreaInset = Object.assign({ top: 0, right: 0, bottom: 0, left: 0 }, insets);
+            emit('safeAreaChanged');
+        },
+
+        /**
+         * Set the viewport height and fire viewportChanged.
+         * @param {number} height
+         */
+        setViewport(height) {
+            webApp.viewportHeight = webApp.viewportStableHeight = height;
+            emit('viewportChanged', { isStateStable: true });
+        },
+
+        /**
+         * Clear recorded calls.
+         */
+        reset() {
+            calls.length = 0;
+        }
+    };
+
+    console.log('Telegram WebApp mock enabled');
+})();